@@ -5,9 +5,72 @@
  * converts OBJ/MTL data into VRML for KiCad's 3D viewer.
  */
 
-// KiCad symbol library metadata written into the output header.
-const KI_SYMBOL_LIB_VERSION = "20211014";
-const KI_SYMBOL_GENERATOR = "easy EDA downloader";
+import { serializeSexpr, str } from "./sexpr.js";
+import {
+  arcPointAt,
+  arcToCenter,
+  flattenArc,
+  flattenCubic,
+  parseSvgPath
+} from "./svg_path.js";
+
+// Generator name written into symbol and footprint headers.
+const KI_GENERATOR = "easy EDA downloader";
+
+// File-format dialects keyed by KiCad major version. Each entry carries the
+// version stamps KiCad writes itself, so newer KiCad releases open the files
+// without offering to upgrade them.
+const KI_FORMATS = {
+  6: {
+    kicadVersion: 6,
+    symbolVersion: "20211014",
+    footprintVersion: "20211014",
+    propertyIds: true,
+    excludeFromSim: false,
+    strokeBlocks: false,
+    footprintTedit: true,
+    footprintProperties: false,
+    bezier: false,
+    indent: "  "
+  },
+  7: {
+    kicadVersion: 7,
+    symbolVersion: "20220914",
+    footprintVersion: "20221018",
+    propertyIds: true,
+    excludeFromSim: false,
+    strokeBlocks: true,
+    footprintTedit: false,
+    footprintProperties: false,
+    bezier: true,
+    indent: "  "
+  },
+  8: {
+    kicadVersion: 8,
+    symbolVersion: "20231120",
+    footprintVersion: "20240108",
+    propertyIds: false,
+    excludeFromSim: true,
+    strokeBlocks: true,
+    footprintTedit: false,
+    footprintProperties: true,
+    bezier: true,
+    indent: "\t"
+  }
+};
+
+const DEFAULT_KICAD_VERSION = 6;
+
+// Library nickname used in footprint headers when the caller does not name one.
+const DEFAULT_FOOTPRINT_LIBRARY = "easyeda2kicad";
+
+// Decimal places KiCad itself writes: symbols use 100 nm units, footprints nm.
+const KI_SYMBOL_DECIMALS = 4;
+const KI_FOOTPRINT_DECIMALS = 6;
+
+// Directory and file type of footprint 3D model links when not configured.
+const DEFAULT_MODEL_3D_PATH = "${KIPRJMOD}";
+const MODEL_3D_FORMATS = ["wrl", "step"];
 
 // Default sizes/offsets used when laying out symbol pins and fields.
 const KI_SYMBOL_CONFIG = {
@@ -20,34 +83,6 @@ const KI_SYMBOL_CONFIG = {
   defaultLineWidth: 0
 };
 
-// String templates for each KiCad footprint element we emit.
-const KI_FOOTPRINT_TEMPLATES = {
-  moduleInfo: "(module {packageLib}:{packageName} (layer F.Cu) (tedit {edit})\n",
-  fpType: "\t(attr {componentType})\n",
-  reference:
-    "\t(fp_text reference REF** (at {posX} {posY}) (layer F.SilkS)\n\t\t(effects (font (size 1 1) (thickness 0.15)))\n\t)\n",
-  value:
-    "\t(fp_text value {packageName} (at {posX} {posY}) (layer F.Fab)\n\t\t(effects (font (size 1 1) (thickness 0.15)))\n\t)\n",
-  fabRef:
-    "\t(fp_text user %R (at 0 0) (layer F.Fab)\n\t\t(effects (font (size 1 1) (thickness 0.15)))\n\t)\n",
-  pad:
-    "\t(pad {number} {type} {shape} (at {posX} {posY} {orientation}) (size {width} {height}) (layers {layers}){drill}{polygon})\n",
-  line:
-    "\t(fp_line (start {startX} {startY}) (end {endX} {endY}) (layer {layers}) (width {strokeWidth}))\n",
-  hole:
-    "\t(pad \"\" thru_hole circle (at {posX} {posY}) (size {size} {size}) (drill {size}) (layers *.Cu *.Mask))\n",
-  via:
-    "\t(pad \"\" thru_hole circle (at {posX} {posY}) (size {diameter} {diameter}) (drill {size}) (layers *.Cu *.Paste *.Mask))\n",
-  circle:
-    "\t(fp_circle (center {cx} {cy}) (end {endX} {endY}) (layer {layers}) (width {strokeWidth}))\n",
-  arc:
-    "\t(fp_arc (start {startX} {startY}) (end {endX} {endY}) (angle {angle}) (layer {layers}) (width {strokeWidth}))\n",
-  text:
-    "\t(fp_text user {text} (at {posX} {posY} {orientation}) (layer {layers}){display}\n\t\t(effects (font (size {fontSize} {fontSize}) (thickness {thickness})) (justify left{mirror}))\n\t)\n",
-  model3d:
-    "\t(model \"{file3d}\"\n\t\t(offset (xyz {posX} {posY} {posZ}))\n\t\t(scale (xyz 1 1 1))\n\t\t(rotate (xyz {rotX} {rotY} {rotZ}))\n\t)\n"
-};
-
 // Map EasyEDA pad shapes to KiCad pad shapes.
 const KI_PAD_SHAPE = {
   ELLIPSE: "circle",
@@ -56,6 +91,28 @@ const KI_PAD_SHAPE = {
   POLYGON: "custom"
 };
 
+// How far (mm) a polygon pad's outline may stray from a standard pad shape
+// and still be exported as one.
+const PAD_SHAPE_TOLERANCE = 0.01;
+
+// Pad corners as KiCad names them for chamfers, with their signs in the
+// pad's own frame (y down).
+const PAD_CORNERS = [
+  { name: "top_left", x: -1, y: -1 },
+  { name: "top_right", x: 1, y: -1 },
+  { name: "bottom_left", x: -1, y: 1 },
+  { name: "bottom_right", x: 1, y: 1 }
+];
+
+// Smallest anchor (mm) for a custom pad, used for polygons too thin to
+// hold a larger circle.
+const CUSTOM_PAD_MIN_ANCHOR = 0.01;
+
+// Grid size and refinement rounds of the search for the point inside a
+// custom pad that is farthest from its outline.
+const POLE_SEARCH_GRID = 16;
+const POLE_SEARCH_ROUNDS = 12;
+
 // Map EasyEDA layer ids to KiCad layers for SMD pads and graphics.
 const KI_PAD_LAYER = {
   1: "F.Cu F.Paste F.Mask",
@@ -95,6 +152,38 @@ const KI_LAYERS = {
   101: "F.Fab"
 };
 
+// EasyEDA layers a keepout (rule area) applies to; anything else covers both
+// copper sides.
+const KI_KEEPOUT_LAYERS = {
+  1: "F.Cu",
+  2: "B.Cu"
+};
+
+// Largest distance an arc may stray from its flattened polyline, in mm.
+const ARC_FLATTEN_TOLERANCE = 0.01;
+
+// KiCad's recommended courtyard line width, and the grid courtyards snap to.
+const COURTYARD_LINE_WIDTH = 0.05;
+const COURTYARD_GRID = 0.01;
+
+// Graphic layers whose outlines count towards the courtyard.
+const COURTYARD_SOURCE_LAYER_PATTERN = /SilkS|Fab/;
+
+// Sampling step (mm) used to find where silkscreen crosses a pad keep-away
+// zone, and the shortest silkscreen piece worth keeping after clipping.
+const SILK_CLIP_STEP = 0.05;
+const SILK_MIN_LENGTH = 0.05;
+
+// Silkscreen layers and the EasyEDA pad layers they are kept away from.
+const SILK_PAD_LAYERS = {
+  "F.SilkS": [1, 11],
+  "B.SilkS": [2, 11]
+};
+
+// Where the footprint origin can be placed: EasyEDA's own origin, the center
+// of the pads, the center of the part body, or pad 1.
+const FOOTPRINT_ANCHORS = ["easyeda", "pads", "body", "pin1"];
+
 // Convert EasyEDA numeric pin types to KiCad pin type strings.
 const EASYEDA_PIN_TYPE_MAP = {
   0: "unspecified",
@@ -104,6 +193,65 @@ const EASYEDA_PIN_TYPE_MAP = {
   4: "power_in"
 };
 
+// Pin names that are expected to repeat across a symbol.
+const REPEATABLE_PIN_NAMES = new Set(["", "~", "NC", "DNC"]);
+
+// Every electrical type a KiCad pin can have.
+const KI_PIN_TYPES = [
+  "input",
+  "output",
+  "bidirectional",
+  "tri_state",
+  "passive",
+  "free",
+  "unspecified",
+  "power_in",
+  "power_out",
+  "open_collector",
+  "open_emitter",
+  "no_connect"
+];
+
+// Which symbols a pin type rule applies to, by total pin count.
+const PIN_TYPE_RULE_SCOPES = {
+  any: () => true,
+  "two-pin": (pinCount) => pinCount === 2,
+  ic: (pinCount) => pinCount > 2
+};
+
+// Public API: default pin type rules, one "<scope> <name pattern> => <type>"
+// per line. Patterns are case-insensitive regular expressions matched against
+// the whole pin name; the first matching rule wins.
+export const DEFAULT_PIN_TYPE_RULES = [
+  "# <scope: any, two-pin or ic> <pin name pattern> => <KiCad pin type>",
+  "any (NC|DNC|N\\.C\\.)\\d* => no_connect",
+  "two-pin .* => passive",
+  "ic (VCC|VDD|AVDD|DVDD|VDDA|VDDIO|VBAT|VIN|V\\+)\\d* => power_in",
+  "ic (GND|VSS|AGND|DGND|PGND|VSSA|V-)\\d* => power_in"
+].join("\n");
+
+// Pin types for alternate functions, picked from the function name. The first
+// matching pattern wins; anything else is bidirectional.
+const ALTERNATE_PIN_TYPE_RULES = [
+  { pattern: /^(ADC|AIN)|_(IN\d*|INP|INN|RX)$/i, type: "input" },
+  { pattern: /^(DAC|AOUT|MCO)|_(OUT\d*|TX)$/i, type: "output" }
+];
+
+// Pins that move further than this (mm) while snapping are reported.
+const PIN_SNAP_REPORT_TOLERANCE = 0.05;
+
+// Map EasyEDA stroke styles (solid, dashed, dotted) to KiCad stroke types.
+const EASYEDA_STROKE_STYLE_MAP = {
+  0: "default",
+  1: "dash",
+  2: "dot"
+};
+
+// EasyEDA's default symbol stroke width (px) and font size (pt). Shapes that
+// use them keep KiCad's own defaults; other sizes are scaled relative to them.
+const EASYEDA_DEFAULT_STROKE_WIDTH = 1;
+const EASYEDA_DEFAULT_FONT_SIZE = 7;
+
 // Safely parse numbers and fall back when data is missing or invalid.
 function toNumber(value, fallback = 0) {
   const num = Number(value);
@@ -146,6 +294,69 @@ function applyPinNameStyle(pinName) {
     .join("/");
 }
 
+// Parse pin type rules (see DEFAULT_PIN_TYPE_RULES). Blank lines and lines
+// starting with "#" are skipped; lines that cannot be used are reported.
+function parsePinTypeRules(text) {
+  const rules = [];
+  const errors = [];
+  String(text || "").split("\n").forEach((rawLine, index) => {
+    const line = rawLine.trim();
+    if (!line || line.startsWith("#")) {
+      return;
+    }
+    const match = line.match(/^(\S+)\s+(.+?)\s*=>\s*(\S+)$/);
+    if (!match) {
+      errors.push(`line ${index + 1} is not "<scope> <pattern> => <type>".`);
+      return;
+    }
+    const [, scope, pattern, type] = match;
+    if (!PIN_TYPE_RULE_SCOPES[scope]) {
+      errors.push(`line ${index + 1} has unknown scope "${scope}".`);
+      return;
+    }
+    if (!KI_PIN_TYPES.includes(type)) {
+      errors.push(`line ${index + 1} has unknown pin type "${type}".`);
+      return;
+    }
+    try {
+      rules.push({ scope, pattern: new RegExp(`^(?:${pattern})$`, "i"), type });
+    } catch (error) {
+      errors.push(`line ${index + 1} has an invalid pattern (${error.message}).`);
+    }
+  });
+  return { rules, errors };
+}
+
+// Split a pin name such as "PA0/ADC1_IN0/TIM2_CH1" into its functions. Names
+// with one-letter parts ("I/O", "R/W#") are a single function and stay whole.
+function splitPinFunctions(pinName) {
+  const functions = String(pinName || "").split("/");
+  return functions.length > 1 && functions.every((value) => value.length > 1)
+    ? functions
+    : [String(pinName || "")];
+}
+
+// Pin type for an alternate function name.
+function alternatePinType(functionName) {
+  const rule = ALTERNATE_PIN_TYPE_RULES.find((entry) => entry.pattern.test(functionName));
+  return rule ? rule.type : "bidirectional";
+}
+
+// Read an EasyEDA font size such as "9pt" or "9" in points. Blank sizes mean
+// the default font.
+function toFontSize(value) {
+  const size = toNumber(String(value || "").replace("pt", ""));
+  return size > 0 ? size : EASYEDA_DEFAULT_FONT_SIZE;
+}
+
+// Read the stroke width/style fields shared by EasyEDA symbol shapes.
+function parseSymbolStroke(width, style) {
+  return {
+    width: toNumber(width, EASYEDA_DEFAULT_STROKE_WIDTH),
+    style: toNumber(style)
+  };
+}
+
 // Convert EasyEDA pixels into millimeters (symbol scale).
 function pxToMm(dim) {
   return 10.0 * Number(dim) * 0.0254;
@@ -156,56 +367,6 @@ function convertToMm(dim) {
   return Number(dim) * 10 * 0.0254;
 }
 
-// Parse a small subset of SVG path commands (M, A, L, Z) into objects.
-function parseSvgPath(svgPath) {
-  let path = String(svgPath || "");
-  if (!path.endsWith(" ")) {
-    path += " ";
-  }
-  path = path.replace(/,/g, " ");
-  const matches = [...path.matchAll(/([a-zA-Z])([ ,\-+.\d]+)/g)];
-  const parsed = [];
-
-  for (const match of matches) {
-    const cmd = match[1];
-    const args = match[2].trim().split(/\s+/);
-    if (cmd === "M") {
-      for (let i = 0; i < args.length; i += 2) {
-        parsed.push({
-          type: "M",
-          startX: toNumber(args[i]),
-          startY: toNumber(args[i + 1])
-        });
-      }
-    } else if (cmd === "A") {
-      for (let i = 0; i < args.length; i += 7) {
-        parsed.push({
-          type: "A",
-          radiusX: toNumber(args[i]),
-          radiusY: toNumber(args[i + 1]),
-          xAxisRotation: toNumber(args[i + 2]),
-          flagLargeArc: args[i + 3] === "1",
-          flagSweep: args[i + 4] === "1",
-          endX: toNumber(args[i + 5]),
-          endY: toNumber(args[i + 6])
-        });
-      }
-    } else if (cmd === "L") {
-      for (let i = 0; i < args.length; i += 2) {
-        parsed.push({
-          type: "L",
-          posX: toNumber(args[i]),
-          posY: toNumber(args[i + 1])
-        });
-      }
-    } else if (cmd === "Z") {
-      parsed.push({ type: "Z" });
-    }
-  }
-
-  return parsed;
-}
-
 // Angle helpers used by arc math.
 function toRadians(angle) {
   return (angle / 180) * Math.PI;
@@ -297,16 +458,94 @@ function getMiddleArcPos(centerX, centerY, radius, angleStart, angleEnd) {
   return { middleX, middleY };
 }
 
+// Collect the symbol data strings for every sub-part in the payload.
+// Multi-unit parts (quad op-amps, dual MOSFETs, ...) list each unit under
+// `subparts`; single-unit parts only carry the top-level `dataStr`.
+function getSymbolDataStrs(cadData) {
+  const subparts = Array.isArray(cadData?.subparts) ? cadData.subparts : [];
+  const dataStrs = subparts
+    .map((subpart) => subpart?.dataStr || subpart)
+    .filter((dataStr) => Array.isArray(dataStr?.shape));
+  if (dataStrs.length) {
+    return dataStrs;
+  }
+  return cadData?.dataStr ? [cadData.dataStr] : [];
+}
+
+// Find the point halfway along an SVG arc from its center and sweep flag.
+// Footprint coordinates keep +Y pointing down, so a set sweep flag means the
+// angle increases from start to end.
+function getArcMidpoint(centerX, centerY, startX, startY, endX, endY, sweepFlag) {
+  const { radius, startAngle, sweep } = getArcSweep(
+    centerX,
+    centerY,
+    startX,
+    startY,
+    endX,
+    endY,
+    sweepFlag
+  );
+  const middleAngle = startAngle + sweep / 2;
+  return {
+    x: centerX + radius * Math.cos(middleAngle),
+    y: centerY + radius * Math.sin(middleAngle)
+  };
+}
+
+// Radius, start angle and signed sweep (radians) of an SVG arc around a
+// known center.
+function getArcSweep(centerX, centerY, startX, startY, endX, endY, sweepFlag) {
+  const radius = Math.hypot(startX - centerX, startY - centerY);
+  const startAngle = Math.atan2(startY - centerY, startX - centerX);
+  let sweep = Math.atan2(endY - centerY, endX - centerX) - startAngle;
+  if (sweepFlag && sweep < 0) {
+    sweep += 2 * Math.PI;
+  } else if (!sweepFlag && sweep > 0) {
+    sweep -= 2 * Math.PI;
+  }
+  return { radius, startAngle, sweep };
+}
+
+// Turn an EasyEDA path into a list of polygon points in mm. Arcs and curves
+// are replaced by chords within ARC_FLATTEN_TOLERANCE.
+function svgPathToPolygon(svgPath) {
+  const tolerance = ARC_FLATTEN_TOLERANCE / convertToMm(1);
+  const points = [];
+  for (const command of parseSvgPath(svgPath)) {
+    if (command.type === "M" || command.type === "L") {
+      points.push({ x: command.x, y: command.y });
+    } else if (command.type === "C") {
+      points.push(...flattenCubic(command, tolerance));
+    } else if (command.type === "A") {
+      points.push(...flattenArc(command, tolerance));
+    }
+  }
+  const mmPoints = points.map((point) => ({
+    x: convertToMm(point.x),
+    y: convertToMm(point.y)
+  }));
+
+  // Drop the closing point when it repeats the first one.
+  const first = mmPoints[0];
+  const last = mmPoints[mmPoints.length - 1];
+  if (
+    mmPoints.length > 1 &&
+    Math.abs(first.x - last.x) < 1e-6 &&
+    Math.abs(first.y - last.y) < 1e-6
+  ) {
+    mmPoints.pop();
+  }
+  return mmPoints;
+}
+
 // Read EasyEDA symbol data and turn it into a normalized JS object.
 function parseEasyedaSymbol(cadData) {
-  const info = cadData?.dataStr?.head?.c_para || {};
+  const dataStrs = getSymbolDataStrs(cadData);
+  const info =
+    cadData?.dataStr?.head?.c_para || dataStrs[0]?.head?.c_para || {};
   const lcsc = cadData?.lcsc || {};
-  const bbox = {
-    x: toNumber(cadData?.dataStr?.head?.x),
-    y: toNumber(cadData?.dataStr?.head?.y)
-  };
 
-  const symbol = {
+  return {
     info: {
       name: info.name || "",
       prefix: String(info.pre || "").replace("?", ""),
@@ -316,7 +555,17 @@ function parseEasyedaSymbol(cadData) {
       lcscId: lcsc.number || "",
       jlcId: info["BOM_JLCPCB Part Class"] || ""
     },
-    bbox,
+    parts: dataStrs.map(parseEasyedaSymbolPart)
+  };
+}
+
+// Parse the shapes of a single symbol sub-part into geometry buckets.
+function parseEasyedaSymbolPart(dataStr) {
+  const symbol = {
+    bbox: {
+      x: toNumber(dataStr?.head?.x),
+      y: toNumber(dataStr?.head?.y)
+    },
     pins: [],
     rectangles: [],
     circles: [],
@@ -324,11 +573,12 @@ function parseEasyedaSymbol(cadData) {
     ellipses: [],
     polylines: [],
     polygons: [],
-    paths: []
+    paths: [],
+    texts: []
   };
 
   // Parse each serialized shape line into the right bucket.
-  const shapes = cadData?.dataStr?.shape || [];
+  const shapes = dataStr?.shape || [];
   for (const line of shapes) {
     const designator = line.split("~")[0];
     if (designator === "P") {
@@ -336,6 +586,7 @@ function parseEasyedaSymbol(cadData) {
       const settingsFields = segments[0].split("~").slice(1);
       const pinPathFields = (segments[2] || "").split("~");
       const pinNameFields = (segments[3] || "").split("~");
+      const pinNumberFields = (segments[4] || "").split("~");
       const pinDotBisFields = (segments[5] || "").split("~");
       const pinClockFields = (segments[6] || "").split("~");
 
@@ -362,9 +613,11 @@ function parseEasyedaSymbol(cadData) {
           text: pinNameFields[4] || "",
           textAnchor: pinNameFields[5] || "",
           font: pinNameFields[6] || "",
-          fontSize: String(pinNameFields[7] || "").includes("pt")
-            ? toNumber(String(pinNameFields[7]).replace("pt", ""), 7)
-            : toNumber(pinNameFields[7], 7)
+          fontSize: toFontSize(pinNameFields[7])
+        },
+        number: {
+          isDisplayed: toBool(pinNumberFields[0]),
+          fontSize: toFontSize(pinNumberFields[7])
         },
         dot: {
           isDisplayed: toBool(pinDotBisFields[0]),
@@ -383,24 +636,29 @@ function parseEasyedaSymbol(cadData) {
         posX: toNumber(fields[0]),
         posY: toNumber(fields[1]),
         width: toNumber(fields[4]),
-        height: toNumber(fields[5])
+        height: toNumber(fields[5]),
+        stroke: parseSymbolStroke(fields[7], fields[8])
       });
     } else if (designator === "PL") {
       const fields = line.split("~").slice(1);
       symbol.polylines.push({
         points: fields[0],
+        stroke: parseSymbolStroke(fields[2], fields[3]),
         fillColor: String(fields[4] || "").toLowerCase() !== "none"
       });
     } else if (designator === "PG") {
       const fields = line.split("~").slice(1);
       symbol.polygons.push({
         points: fields[0],
+        stroke: parseSymbolStroke(fields[2], fields[3]),
         fillColor: true
       });
     } else if (designator === "PT") {
       const fields = line.split("~").slice(1);
       symbol.paths.push({
-        paths: fields[0]
+        paths: fields[0],
+        stroke: parseSymbolStroke(fields[2], fields[3]),
+        fillColor: Boolean(fields[4]) && fields[4].toLowerCase() !== "none"
       });
     } else if (designator === "C") {
       const fields = line.split("~").slice(1);
@@ -408,7 +666,8 @@ function parseEasyedaSymbol(cadData) {
         centerX: toNumber(fields[0]),
         centerY: toNumber(fields[1]),
         radius: toNumber(fields[2]),
-        fillColor: String(fields[5] || "").toLowerCase() !== "none"
+        stroke: parseSymbolStroke(fields[4], fields[5]),
+        fillColor: String(fields[6] || "").toLowerCase() !== "none"
       });
     } else if (designator === "E") {
       const fields = line.split("~").slice(1);
@@ -416,14 +675,32 @@ function parseEasyedaSymbol(cadData) {
         centerX: toNumber(fields[0]),
         centerY: toNumber(fields[1]),
         radiusX: toNumber(fields[2]),
-        radiusY: toNumber(fields[3])
+        radiusY: toNumber(fields[3]),
+        stroke: parseSymbolStroke(fields[5], fields[6]),
+        fillColor: String(fields[7] || "").toLowerCase() !== "none"
       });
     } else if (designator === "A") {
       const fields = line.split("~").slice(1);
       symbol.arcs.push({
         path: parseSvgPath(fields[0]),
-        fillColor: String(fields[4] || "").toLowerCase() !== "none"
+        stroke: parseSymbolStroke(fields[3], fields[4]),
+        fillColor: String(fields[5] || "").toLowerCase() !== "none"
       });
+    } else if (designator === "T") {
+      // Free text ("L" mark); name and prefix texts become properties instead.
+      const fields = line.split("~").slice(1);
+      if (fields[0] === "L" && fields[12] !== "0" && String(fields[11] || "").trim()) {
+        symbol.texts.push({
+          posX: toNumber(fields[1]),
+          posY: toNumber(fields[2]),
+          rotation: toNumber(fields[3]),
+          fontSize: toFontSize(fields[6]),
+          bold: String(fields[7] || "").toLowerCase() === "bold",
+          italic: String(fields[8] || "").toLowerCase() === "italic",
+          text: fields[11],
+          textAnchor: fields[13] || "start"
+        });
+      }
     }
   }
 
@@ -440,7 +717,7 @@ function parseEasyedaFootprint(cadData) {
 
   const footprint = {
     info: {
-      name: info.package || "",
+      name: info.package || "footprint",
       fpType: isSmd ? "smd" : "tht",
       model3dName: info["3DModel"] || ""
     },
@@ -456,7 +733,9 @@ function parseEasyedaFootprint(cadData) {
     circles: [],
     arcs: [],
     rectangles: [],
-    texts: []
+    texts: [],
+    regions: [],
+    unsupported: {}
   };
 
   // Parse each serialized shape line into the right bucket.
@@ -482,7 +761,8 @@ function parseEasyedaFootprint(cadData) {
         id: fields[11] || "",
         holeLength: toNumber(fields[12]),
         holePoint: fields[13] || "",
-        isPlated: toBool(fields[14]),
+        // "Y"/"N"; older data omits the flag, and those pads are plated.
+        isPlated: String(fields[14] || "Y").toUpperCase() !== "N",
         isLocked: toBool(fields[15])
       });
     } else if (designator === "TRACK") {
@@ -502,6 +782,14 @@ function parseEasyedaFootprint(cadData) {
         id: fields[3] || "",
         isLocked: toBool(fields[4])
       });
+    } else if (designator === "SOLIDREGION") {
+      footprint.regions.push({
+        layerId: toNumber(fields[0]),
+        net: fields[1] || "",
+        path: fields[2] || "",
+        type: String(fields[3] || "solid").toLowerCase(),
+        id: fields[4] || ""
+      });
     } else if (designator === "VIA") {
       footprint.vias.push({
         centerX: toNumber(fields[0]),
@@ -564,9 +852,21 @@ function parseEasyedaFootprint(cadData) {
       try {
         const rawJson = fields[0];
         const attrs = JSON.parse(rawJson).attrs;
+        // Like the downloader, use the first node that carries a model uuid.
+        if (footprint.model3d || !attrs?.uuid) {
+          continue;
+        }
         footprint.model3d = {
-          name: attrs.title || "",
+          name: attrs.title || attrs.uuid || "",
           uuid: attrs.uuid || "",
+          // Body outline EasyEDA draws for the model, as flat x/y pairs.
+          outline: (JSON.parse(rawJson).childNodes || []).flatMap((child) =>
+            String(child?.attrs?.points || "")
+              .trim()
+              .split(/[\s,]+/)
+              .filter(Boolean)
+              .map(toNumber)
+          ),
           translation: {
             x: toNumber(String(attrs.c_origin || "0,0").split(",")[0]),
             y: toNumber(String(attrs.c_origin || "0,0").split(",")[1]),
@@ -581,14 +881,227 @@ function parseEasyedaFootprint(cadData) {
       } catch (error) {
         // ignore malformed 3D metadata
       }
+    } else if (designator) {
+      // Count anything else so the export can report what it left out.
+      footprint.unsupported[designator] = (footprint.unsupported[designator] || 0) + 1;
     }
   }
 
   return footprint;
 }
 
-// Convert the parsed symbol into KiCad-friendly geometry and pin data.
-function convertSymbolToKiCad(symbol) {
+// Convert the parsed symbol into KiCad units. A single-part symbol keeps
+// everything in unit 0; multi-part symbols get one unit per sub-part, with
+// pins shared by every sub-part (usually power) moved into unit 0. Pin type
+// rules in `options.pinTypeRules` override EasyEDA's types, and with
+// `options.pinGrid` (mm) the pins are snapped to that grid. `warnings` lists
+// unusable rules, pins moved noticeably by snapping and pins that share a name
+// but not a position.
+function convertSymbolToKiCad(symbol, options) {
+  const parts = symbol.parts.map((part) => convertSymbolPart(part, options));
+  const warnings = [];
+  if (options.pinTypeRules) {
+    const { rules, errors } = parsePinTypeRules(options.pinTypeRules);
+    warnings.push(...errors.map((error) => `pin type rules: ${error}`));
+    applyPinTypeRules(parts, rules);
+  }
+  const units = groupSymbolUnits(parts);
+  if (options.pinGrid > 0) {
+    warnings.push(...snapSymbolToGrid(units, options.pinGrid));
+  }
+  warnings.push(...stackSymbolPins(units));
+  return { info: symbol.info, units, warnings };
+}
+
+// Turn converted parts into KiCad units (see convertSymbolToKiCad).
+function groupSymbolUnits(parts) {
+  if (parts.length <= 1) {
+    return parts.map((part) => ({ ...part, unit: 0 }));
+  }
+
+  const isShared = (pin) =>
+    pin.number !== "" &&
+    parts.every((part) => part.pins.some((other) => other.number === pin.number));
+  const sharedPins = parts[0].pins.filter(isShared);
+
+  const units = parts.map((part, index) => ({
+    ...part,
+    unit: index + 1,
+    pins: part.pins.filter((pin) => !isShared(pin))
+  }));
+  if (sharedPins.length) {
+    units.unshift({
+      unit: 0,
+      pins: sharedPins,
+      rectangles: [],
+      circles: [],
+      arcs: [],
+      polygons: [],
+      beziers: [],
+      texts: []
+    });
+  }
+  return units;
+}
+
+// Snap pin connection points to the grid. Each unit is first shifted by the
+// offset that puts most of its pins on the grid, so its body moves with its
+// pins; pins still off the grid are then
+// moved onto it individually, with their length adjusted so they keep
+// touching the body. Sideways moves cannot be made up for, so they are
+// reported, and a pin the move would shrink to nothing stays where it is.
+// Returns a warning for each pin moved noticeably or left off the grid.
+function snapSymbolToGrid(units, grid) {
+  const pins = units.flatMap((unit) => unit.pins);
+  const snap = (value) => Math.round(value / grid) * grid;
+  const bestShift = (values) => {
+    let best = { shift: 0, cost: Infinity };
+    for (const value of values) {
+      const shift = snap(value) - value;
+      const cost = values.reduce(
+        (sum, other) => sum + Math.abs(snap(other + shift) - other - shift),
+        0
+      );
+      if (cost < best.cost - 1e-9) {
+        best = { shift, cost };
+      }
+    }
+    return best.shift;
+  };
+  // Each EasyEDA sub-part has its own origin, so every unit (including the
+  // shared-pin unit 0) gets its own shift.
+  for (const unit of units) {
+    shiftSymbolUnit(
+      unit,
+      bestShift(unit.pins.map((pin) => pin.posX)),
+      bestShift(unit.pins.map((pin) => pin.posY))
+    );
+  }
+
+  const warnings = [];
+  for (const pin of pins) {
+    const moveX = snap(pin.posX) - pin.posX;
+    const moveY = snap(pin.posY) - pin.posY;
+    // Orientation 0 points the pin right (+x) from its end, 90 up (+y).
+    const alongPin = { 0: -moveX, 90: -moveY, 180: moveX, 270: moveY }[pin.orientation] || 0;
+    const acrossPin = pin.orientation === 90 || pin.orientation === 270 ? moveX : moveY;
+    const label = `pin ${pin.number || "?"}${pin.name ? ` (${pin.name})` : ""}`;
+    if (pin.length + alongPin <= 0) {
+      warnings.push(
+        `${label} was left off the ${grid} mm grid: reaching it would leave the pin no length.`
+      );
+      continue;
+    }
+    pin.posX += moveX;
+    pin.posY += moveY;
+    pin.length += alongPin;
+    if (Math.abs(acrossPin) > PIN_SNAP_REPORT_TOLERANCE) {
+      warnings.push(
+        `${label} moved ${Math.abs(acrossPin).toFixed(2)} mm sideways to reach the ` +
+          `${grid} mm grid and may no longer meet the body.`
+      );
+    } else if (Math.abs(alongPin) > PIN_SNAP_REPORT_TOLERANCE) {
+      warnings.push(
+        `${label} moved ${Math.abs(alongPin).toFixed(2)} mm to reach the ${grid} mm grid.`
+      );
+    }
+  }
+  return warnings;
+}
+
+// Move every pin and graphic item of a unit by (dx, dy) mm.
+function shiftSymbolUnit(unit, dx, dy) {
+  const shiftPoint = (point) => [point[0] + dx, point[1] + dy];
+  for (const pin of unit.pins) {
+    pin.posX += dx;
+    pin.posY += dy;
+  }
+  for (const rect of unit.rectangles) {
+    rect.posX0 += dx;
+    rect.posY0 += dy;
+    rect.posX1 += dx;
+    rect.posY1 += dy;
+  }
+  for (const item of [...unit.circles, ...unit.texts]) {
+    item.posX += dx;
+    item.posY += dy;
+  }
+  for (const arc of unit.arcs) {
+    arc.startX += dx;
+    arc.startY += dy;
+    arc.middleX += dx;
+    arc.middleY += dy;
+    arc.endX += dx;
+    arc.endY += dy;
+  }
+  for (const item of [...unit.polygons, ...unit.beziers]) {
+    item.points = item.points.map(shiftPoint);
+  }
+}
+
+// Give each pin the type of the first rule matching its name. Scopes look at
+// the pin count of the whole symbol, counting each pin number once.
+function applyPinTypeRules(parts, rules) {
+  const pins = parts.flatMap((part) => part.pins);
+  const pinCount = new Set(pins.map((pin) => pin.number || pin)).size;
+  const activeRules = rules.filter((rule) => PIN_TYPE_RULE_SCOPES[rule.scope](pinCount));
+  for (const pin of pins) {
+    const rule = activeRules.find((entry) => entry.pattern.test(pin.name));
+    if (rule) {
+      pin.type = rule.type;
+    }
+  }
+}
+
+// Stack pins the KiCad way: pins sharing a name and position keep the first
+// pin visible and turn the rest into hidden passive pins on the same spot.
+// Returns a warning for every name used at more than one position in a unit
+// (unit 0 pins count towards every unit).
+function stackSymbolPins(units) {
+  const warnings = [];
+  const sharedPins = units.find((unit) => unit.unit === 0)?.pins || [];
+  for (const unit of units) {
+    const stacks = new Map();
+    for (const pin of unit.pins) {
+      const key = `${pin.name}@${pin.posX.toFixed(2)},${pin.posY.toFixed(2)}`;
+      const stack = stacks.get(key);
+      if (!stack) {
+        stacks.set(key, [pin]);
+        continue;
+      }
+      stack.push(pin);
+      pin.type = "passive";
+      pin.hidden = true;
+    }
+
+    const positions = new Map();
+    const pins = unit.unit === 0 ? unit.pins : [...sharedPins, ...unit.pins];
+    for (const pin of pins) {
+      if (REPEATABLE_PIN_NAMES.has(pin.name.toUpperCase())) {
+        continue;
+      }
+      const entry = positions.get(pin.name) || { places: new Set(), numbers: [] };
+      entry.places.add(`${pin.posX.toFixed(2)},${pin.posY.toFixed(2)}`);
+      entry.numbers.push(pin.number || "?");
+      positions.set(pin.name, entry);
+    }
+    for (const [name, entry] of positions) {
+      if (entry.places.size > 1) {
+        warnings.push(
+          `pins ${entry.numbers.join(", ")} are all named "${name}" but sit in ` +
+            `${entry.places.size} different places${unit.unit ? ` (unit ${unit.unit})` : ""}.`
+        );
+      }
+    }
+  }
+  return warnings;
+}
+
+// Convert one parsed symbol part into KiCad-friendly geometry and pin data.
+// `options.ellipseTolerance` is the largest distance (mm) a flattened ellipse
+// may stray from the EasyEDA outline; with `options.pinAlternates`, pin names
+// are split into a primary name and KiCad alternate functions.
+function convertSymbolPart(symbol, options) {
   // Convert pins and map styles/types to KiCad equivalents.
   const pins = symbol.pins.map((pin) => {
     const pinLengthRaw = String(pin.pinPath.path || "").split("h").pop();
@@ -603,16 +1116,37 @@ function convertSymbolToKiCad(symbol) {
           : "line";
 
     const type = EASYEDA_PIN_TYPE_MAP[pin.settings.type] || "unspecified";
+    const [name, ...alternates] = options.pinAlternates
+      ? splitPinFunctions(pin.name.text.replace(/\s+/g, ""))
+      : [pin.name.text.replace(/\s+/g, "")];
+
+    // Gap between the inner end of the pin and its name, measured along the
+    // pin whichever way it points.
+    const angle = (pin.settings.rotation * Math.PI) / 180;
+    const alongPin = Math.abs(
+      (pin.name.posX - pin.settings.posX) * Math.cos(angle) +
+        (pin.name.posY - pin.settings.posY) * Math.sin(angle)
+    );
 
     return {
-      name: pin.name.text.replace(/\s+/g, ""),
+      name,
+      alternates: alternates.map((alternate) => ({
+        name: alternate,
+        type: alternatePinType(alternate)
+      })),
       number: String(pin.settings.number || "").replace(/\s+/g, ""),
       style,
       length: pxToMm(pinLength),
       type,
       orientation: (180 + pin.settings.rotation) % 360,
       posX: pxToMm(toNumber(pin.settings.posX) - toNumber(symbol.bbox.x)),
-      posY: -pxToMm(toNumber(pin.settings.posY) - toNumber(symbol.bbox.y))
+      posY: -pxToMm(toNumber(pin.settings.posY) - toNumber(symbol.bbox.y)),
+      nameSize: fontSizeToKi(pin.name.fontSize, KI_SYMBOL_CONFIG.pinNameSize),
+      numberSize: fontSizeToKi(pin.number.fontSize, KI_SYMBOL_CONFIG.pinNumSize),
+      nameOffset: pxToMm(alongPin - pinLength),
+      hidden: !pin.settings.isDisplayed,
+      nameHidden: !pin.name.isDisplayed,
+      numberHidden: !pin.number.isDisplayed
     };
   });
 
@@ -624,7 +1158,8 @@ function convertSymbolToKiCad(symbol) {
       posX0,
       posY0,
       posX1: posX0 + pxToMm(rect.width),
-      posY1: posY0 - pxToMm(rect.height)
+      posY1: posY0 - pxToMm(rect.height),
+      stroke: symbolStrokeToKi(rect.stroke)
     };
   });
 
@@ -633,18 +1168,55 @@ function convertSymbolToKiCad(symbol) {
     posX: pxToMm(circle.centerX - symbol.bbox.x),
     posY: -pxToMm(circle.centerY - symbol.bbox.y),
     radius: pxToMm(circle.radius),
+    stroke: symbolStrokeToKi(circle.stroke),
     background: circle.fillColor
   }));
 
-  // Convert ellipses only when they are circles (KiCad doesn't support ellipses).
-  const ellipses = symbol.ellipses
-    .filter((ellipse) => ellipse.radiusX === ellipse.radiusY)
-    .map((ellipse) => ({
-      posX: pxToMm(ellipse.centerX - symbol.bbox.x),
-      posY: -pxToMm(ellipse.centerY - symbol.bbox.y),
-      radius: pxToMm(ellipse.radiusX),
-      background: false
-    }));
+  // KiCad has no ellipses: circular ones become circles, the rest closed
+  // polylines traced as two half-arcs.
+  const ellipses = [];
+  const ellipseOutlines = [];
+  const ellipseTolerance = options.ellipseTolerance / pxToMm(1);
+  for (const ellipse of symbol.ellipses) {
+    const { centerX, centerY, radiusX, radiusY } = ellipse;
+    if (radiusX === radiusY) {
+      ellipses.push({
+        posX: pxToMm(centerX - symbol.bbox.x),
+        posY: -pxToMm(centerY - symbol.bbox.y),
+        radius: pxToMm(radiusX),
+        stroke: symbolStrokeToKi(ellipse.stroke),
+        background: ellipse.fillColor
+      });
+      continue;
+    }
+    const right = { x: centerX + radiusX, y: centerY };
+    const left = { x: centerX - radiusX, y: centerY };
+    const half = (from, to) => ({
+      fromX: from.x,
+      fromY: from.y,
+      rx: radiusX,
+      ry: radiusY,
+      rotation: 0,
+      largeArc: false,
+      sweep: true,
+      x: to.x,
+      y: to.y
+    });
+    const points = [
+      right,
+      ...flattenArc(half(right, left), ellipseTolerance),
+      ...flattenArc(half(left, right), ellipseTolerance)
+    ];
+    ellipseOutlines.push({
+      points: points.map((point) => [
+        pxToMm(point.x - symbol.bbox.x),
+        -pxToMm(point.y - symbol.bbox.y)
+      ]),
+      isClosed: true,
+      stroke: symbolStrokeToKi(ellipse.stroke),
+      fill: ellipse.fillColor
+    });
+  }
 
   // Convert SVG arcs into KiCad arcs using start/mid/end points.
   const arcs = [];
@@ -655,22 +1227,20 @@ function convertSymbolToKiCad(symbol) {
     const move = arc.path[0];
     const ellipseArc = arc.path[1];
 
-    const startX = pxToMm(move.startX - symbol.bbox.x);
-    const startY = -pxToMm(move.startY - symbol.bbox.y);
-    const endX = pxToMm(ellipseArc.endX - symbol.bbox.x);
-    const endY = -pxToMm(ellipseArc.endY - symbol.bbox.y);
-    const radius = pxToMm(
-      Math.max(ellipseArc.radiusX, ellipseArc.radiusY)
-    );
+    const startX = pxToMm(move.x - symbol.bbox.x);
+    const startY = -pxToMm(move.y - symbol.bbox.y);
+    const endX = pxToMm(ellipseArc.x - symbol.bbox.x);
+    const endY = -pxToMm(ellipseArc.y - symbol.bbox.y);
+    const radius = pxToMm(Math.max(ellipseArc.rx, ellipseArc.ry));
 
     const arcInfo = computeArc(
       startX,
       startY,
-      pxToMm(ellipseArc.radiusX),
-      pxToMm(ellipseArc.radiusY),
-      ellipseArc.xAxisRotation,
-      ellipseArc.flagLargeArc,
-      !ellipseArc.flagSweep,
+      pxToMm(ellipseArc.rx),
+      pxToMm(ellipseArc.ry),
+      ellipseArc.rotation,
+      ellipseArc.largeArc,
+      !ellipseArc.sweep,
       endX,
       endY
     );
@@ -692,6 +1262,7 @@ function convertSymbolToKiCad(symbol) {
       middleY: middle.middleY,
       endX,
       endY,
+      stroke: symbolStrokeToKi(arc.stroke),
       fill: arc.fillColor
     });
   }
@@ -714,12 +1285,13 @@ function convertSymbolToKiCad(symbol) {
     }
     return {
       points: xPoints.map((x, idx) => [x, yPoints[idx]]),
-      isClosed: xPoints[0] === xPoints[xPoints.length - 1]
+      isClosed: xPoints[0] === xPoints[xPoints.length - 1],
+      stroke: symbolStrokeToKi(polyline.stroke)
     };
   }
 
-  // Merge polylines and polygons into KiCad polylines.
-  const polygons = [];
+  // Merge polylines, polygons and ellipse outlines into KiCad polylines.
+  const polygons = [...ellipseOutlines];
   for (const polyline of symbol.polylines) {
     const poly = convertPolyline(polyline, polyline.fillColor);
     if (poly) {
@@ -733,196 +1305,442 @@ function convertSymbolToKiCad(symbol) {
     }
   }
 
-  // Convert path strings into polylines when they only use M/L/Z.
+  // Convert path strings into polylines, arcs and Bézier curves.
+  const beziers = [];
   for (const path of symbol.paths) {
-    const rawPts = String(path.paths || "").trim().split(/\s+/);
-    const xPoints = [];
-    const yPoints = [];
-    for (let i = 0; i < rawPts.length; i++) {
-      const token = rawPts[i];
-      if (token === "M" || token === "L") {
-        xPoints.push(pxToMm(toNumber(rawPts[i + 1]) - symbol.bbox.x));
-        yPoints.push(-pxToMm(toNumber(rawPts[i + 2]) - symbol.bbox.y));
-        i += 2;
-      } else if (token === "Z") {
-        xPoints.push(xPoints[0]);
-        yPoints.push(yPoints[0]);
-      }
-    }
-    if (xPoints.length && yPoints.length) {
-      polygons.push({
-        points: xPoints.map((x, idx) => [x, yPoints[idx]]),
-        isClosed: xPoints[0] === xPoints[xPoints.length - 1]
-      });
-    }
+    const converted = convertSymbolPath(path, symbol.bbox);
+    polygons.push(...converted.polygons);
+    arcs.push(...converted.arcs);
+    beziers.push(...converted.beziers);
   }
 
+  // Convert free text, anchored at its baseline like EasyEDA draws it.
+  const texts = symbol.texts.map((text) => ({
+    text: text.text,
+    posX: pxToMm(text.posX - symbol.bbox.x),
+    posY: -pxToMm(text.posY - symbol.bbox.y),
+    vertical: Math.abs(text.rotation) % 180 === 90,
+    size: fontSizeToKi(text.fontSize, KI_SYMBOL_CONFIG.propertyFontSize),
+    bold: text.bold,
+    italic: text.italic,
+    justify: text.textAnchor === "end" ? "right" : text.textAnchor === "middle" ? null : "left"
+  }));
+
   return {
-    info: symbol.info,
     pins,
     rectangles,
     circles: circles.concat(ellipses),
     arcs,
-    polygons
+    polygons,
+    beziers,
+    texts
   };
 }
 
-// Convert a symbol object into a full KiCad symbol library file text.
-function exportKiCadSymbolLibrary(kiSymbol) {
-  const pins = kiSymbol.pins || [];
+// Convert an EasyEDA stroke into a KiCad stroke width (mm) and type. The
+// EasyEDA default width maps to KiCad's default so plain outlines stay plain.
+function symbolStrokeToKi(stroke) {
+  return {
+    width:
+      !stroke || stroke.width === EASYEDA_DEFAULT_STROKE_WIDTH
+        ? KI_SYMBOL_CONFIG.defaultLineWidth
+        : pxToMm(stroke.width),
+    type: EASYEDA_STROKE_STYLE_MAP[stroke?.style] || "default"
+  };
+}
+
+// Scale an EasyEDA font size (pt) against the KiCad size of the default font.
+function fontSizeToKi(fontSize, defaultSize) {
+  return (fontSize / EASYEDA_DEFAULT_FONT_SIZE) * defaultSize;
+}
+
+// Convert one PT path into KiCad symbol graphics. Straight runs become
+// polylines, circular arcs become arcs and curves become Bézier items;
+// elliptical arcs are flattened. A filled, closed sub-path is flattened as a
+// whole so its fill survives.
+function convertSymbolPath(path, bbox) {
+  const toKi = (point) => [pxToMm(point.x - bbox.x), -pxToMm(point.y - bbox.y)];
+  const tolerance = ARC_FLATTEN_TOLERANCE / pxToMm(1);
+  const stroke = symbolStrokeToKi(path.stroke);
+  const result = { polygons: [], arcs: [], beziers: [] };
+
+  // Split the commands into sub-paths, each starting with a move.
+  const subpaths = [];
+  for (const command of parseSvgPath(path.paths)) {
+    if (command.type === "M" || !subpaths.length) {
+      subpaths.push([]);
+    }
+    subpaths[subpaths.length - 1].push(command);
+  }
+
+  for (const commands of subpaths) {
+    const start = commands[0].type === "M" ? commands[0] : { x: 0, y: 0 };
+    const closed = commands.some((command) => command.type === "Z");
+
+    if (path.fillColor && closed) {
+      const points = [start];
+      for (const command of commands) {
+        if (command.type === "L") {
+          points.push(command);
+        } else if (command.type === "C") {
+          points.push(...flattenCubic(command, tolerance));
+        } else if (command.type === "A") {
+          points.push(...flattenArc(command, tolerance));
+        }
+      }
+      const last = points[points.length - 1];
+      if (last.x !== start.x || last.y !== start.y) {
+        points.push(start);
+      }
+      result.polygons.push({ points: points.map(toKi), isClosed: true, stroke, fill: true });
+      continue;
+    }
+
+    // Collect straight segments until a curve interrupts them.
+    let run = [start];
+    const flush = () => {
+      if (run.length > 1) {
+        const points = run.map(toKi);
+        const first = points[0];
+        const last = points[points.length - 1];
+        result.polygons.push({
+          points,
+          isClosed: first[0] === last[0] && first[1] === last[1],
+          stroke,
+          fill: false
+        });
+      }
+    };
+    for (const command of commands) {
+      if (command.type === "L") {
+        run.push(command);
+      } else if (command.type === "Z") {
+        run.push(start);
+        flush();
+        run = [start];
+      } else if (command.type === "C") {
+        flush();
+        result.beziers.push({
+          points: [
+            toKi({ x: command.fromX, y: command.fromY }),
+            toKi({ x: command.x1, y: command.y1 }),
+            toKi({ x: command.x2, y: command.y2 }),
+            toKi(command)
+          ],
+          stroke
+        });
+        run = [command];
+      } else if (command.type === "A") {
+        const center = arcToCenter(command);
+        if (center && Math.abs(center.rx - center.ry) < 1e-9) {
+          flush();
+          const [startX, startY] = toKi({ x: command.fromX, y: command.fromY });
+          const [middleX, middleY] = toKi(arcPointAt(center, 0.5));
+          const [endX, endY] = toKi(command);
+          result.arcs.push({ startX, startY, middleX, middleY, endX, endY, stroke, fill: false });
+          run = [command];
+        } else {
+          run.push(...flattenArc(command, tolerance));
+        }
+      }
+    }
+    flush();
+  }
+
+  return result;
+}
+
+// Convert a symbol object into a full KiCad symbol library file text. When the
+// footprint is exported alongside, `footprint` ({ library, name }) makes the
+// Footprint property a real "Library:Footprint" reference. Numbers are rounded
+// to `decimals` places.
+function exportKiCadSymbolLibrary(
+  kiSymbol,
+  format,
+  footprint = null,
+  decimals = KI_SYMBOL_DECIMALS
+) {
+  const pins = kiSymbol.units.flatMap((unit) => unit.pins);
   const yLow = pins.length ? Math.min(...pins.map((pin) => pin.posY)) : 0;
   const yHigh = pins.length ? Math.max(...pins.map((pin) => pin.posY)) : 0;
+  const pinDisplay = symbolPinDisplay(pins);
 
-  // Lay out property fields above/below the symbol.
+  // Lay out property fields above/below the symbol. KiCad 8 dropped the
+  // numeric (id) on properties.
   const properties = [];
+  const fieldId = (id) => (format.propertyIds ? id : null);
   let offsetY = KI_SYMBOL_CONFIG.fieldOffsetStart;
 
   properties.push(
-    formatSymbolProperty("Reference", kiSymbol.info.prefix || "U", 0, yHigh + offsetY, 0)
+    formatSymbolProperty("Reference", kiSymbol.info.prefix || "U", fieldId(0), yHigh + offsetY, 0)
   );
   properties.push(
-    formatSymbolProperty("Value", kiSymbol.info.name || "", 1, yLow - offsetY, 0)
+    formatSymbolProperty("Value", kiSymbol.info.name || "", fieldId(1), yLow - offsetY, 0)
   );
 
-  if (kiSymbol.info.package) {
+  const footprintValue = footprint
+    ? `${footprint.library}:${footprint.name}`
+    : kiSymbol.info.package;
+  if (footprintValue) {
     offsetY += KI_SYMBOL_CONFIG.fieldOffsetIncrement;
     properties.push(
-      formatSymbolProperty("Footprint", kiSymbol.info.package, 2, yLow - offsetY, 0, true)
+      formatSymbolProperty("Footprint", footprintValue, fieldId(2), yLow - offsetY, 0, true)
     );
   }
   if (kiSymbol.info.datasheet) {
     offsetY += KI_SYMBOL_CONFIG.fieldOffsetIncrement;
     properties.push(
-      formatSymbolProperty("Datasheet", kiSymbol.info.datasheet, 3, yLow - offsetY, 0, true)
+      formatSymbolProperty("Datasheet", kiSymbol.info.datasheet, fieldId(3), yLow - offsetY, 0, true)
     );
   }
   if (kiSymbol.info.manufacturer) {
     offsetY += KI_SYMBOL_CONFIG.fieldOffsetIncrement;
     properties.push(
-      formatSymbolProperty("Manufacturer", kiSymbol.info.manufacturer, 4, yLow - offsetY, 0, true)
+      formatSymbolProperty("Manufacturer", kiSymbol.info.manufacturer, fieldId(4), yLow - offsetY, 0, true)
     );
   }
   if (kiSymbol.info.lcscId) {
     offsetY += KI_SYMBOL_CONFIG.fieldOffsetIncrement;
     properties.push(
-      formatSymbolProperty("LCSC Part", kiSymbol.info.lcscId, 5, yLow - offsetY, 0, true)
+      formatSymbolProperty("LCSC Part", kiSymbol.info.lcscId, fieldId(5), yLow - offsetY, 0, true)
     );
   }
   if (kiSymbol.info.jlcId) {
     offsetY += KI_SYMBOL_CONFIG.fieldOffsetIncrement;
     properties.push(
-      formatSymbolProperty("JLC Part", kiSymbol.info.jlcId, 6, yLow - offsetY, 0, true)
+      formatSymbolProperty("JLC Part", kiSymbol.info.jlcId, fieldId(6), yLow - offsetY, 0, true)
+    );
+  }
+  // Footprint filters are space separated, so spaces in the name become "?".
+  if (footprint) {
+    properties.push(
+      formatSymbolProperty(
+        "ki_fp_filters",
+        footprint.name.replace(/\s/g, "?"),
+        fieldId(7),
+        0,
+        0,
+        true
+      )
     );
   }
 
-  // Gather graphics and pins into KiCad symbol blocks.
+  // Gather graphics and pins into one KiCad symbol block per unit.
   const symbolId = sanitizeFields(kiSymbol.info.name || "symbol");
-  const graphicItems = [
-    ...kiSymbol.rectangles.map(exportSymbolRectangle),
-    ...kiSymbol.circles.map(exportSymbolCircle),
-    ...kiSymbol.arcs.map(exportSymbolArc),
-    ...kiSymbol.polygons.map(exportSymbolPolygon)
-  ].join("\n");
-
-  const pinItems = kiSymbol.pins.map(exportSymbolPin).join("\n");
+  const unitBlocks = kiSymbol.units.map((unit) => [
+    "symbol",
+    str(`${symbolId}_${unit.unit}_1`),
+    ...unit.rectangles.map(exportSymbolRectangle),
+    ...unit.circles.map(exportSymbolCircle),
+    ...unit.arcs.map(exportSymbolArc),
+    ...unit.polygons.map(exportSymbolPolygon),
+    ...unit.beziers.map((bezier) => exportSymbolBezier(bezier, format)),
+    ...unit.texts.map(exportSymbolText),
+    ...unit.pins.map((pin) => exportSymbolPin(pin, pinDisplay))
+  ]);
 
   // Wrap everything in KiCad's symbol library container.
-  const symbolBlock = `
-(symbol "${symbolId}"
-  (in_bom yes)
-  (on_board yes)
-${properties.map((line) => `  ${line.trim()}`).join("\n")}
-  (symbol "${symbolId}_0_1"
-${indentLines(graphicItems, 4)}
-${indentLines(pinItems, 4)}
-  )
-)`.trim();
-
-  return `(kicad_symbol_lib
-  (version ${KI_SYMBOL_LIB_VERSION})
-  (generator "${KI_SYMBOL_GENERATOR}")
-${indentLines(symbolBlock, 1)}
-)\n`;
+  const symbolBlock = [
+    "symbol",
+    str(symbolId),
+    pinDisplay.hideNumbers && ["pin_numbers", "hide"],
+    (pinDisplay.nameOffset !== null || pinDisplay.hideNames) && [
+      "pin_names",
+      pinDisplay.nameOffset !== null && ["offset", pinDisplay.nameOffset],
+      pinDisplay.hideNames && "hide"
+    ],
+    format.excludeFromSim && ["exclude_from_sim", "no"],
+    ["in_bom", "yes"],
+    ["on_board", "yes"],
+    ...properties,
+    ...unitBlocks
+  ];
+
+  return serializeSexpr(
+    [
+      "kicad_symbol_lib",
+      ["version", format.symbolVersion],
+      ["generator", str(KI_GENERATOR)],
+      symbolBlock
+    ],
+    { indent: format.indent, decimals }
+  );
 }
 
 // Build a KiCad property entry for symbol metadata.
 function formatSymbolProperty(key, value, id, posY, rotation, hide = false) {
-  const hideFlag = hide ? "hide" : "";
-  return `(property
-  "${key}"
-  "${value}"
-  (id ${id})
-  (at 0 ${posY.toFixed(2)} ${rotation})
-  (effects (font (size ${KI_SYMBOL_CONFIG.propertyFontSize} ${KI_SYMBOL_CONFIG.propertyFontSize}) ) ${hideFlag})
-)`;
-}
-
-// Emit a single KiCad pin from normalized pin data.
-function exportSymbolPin(pin) {
-  const pinName = applyPinNameStyle(pin.name);
+  return [
+    "property",
+    str(key),
+    str(value),
+    id !== null && ["id", id],
+    ["at", 0, posY, rotation],
+    [
+      "effects",
+      ["font", ["size", KI_SYMBOL_CONFIG.propertyFontSize, KI_SYMBOL_CONFIG.propertyFontSize]],
+      hide && "hide"
+    ]
+  ];
+}
+
+// Stroke block for symbol graphics, KiCad's defaults when none is given.
+function symbolStroke(stroke) {
+  return [
+    "stroke",
+    ["width", stroke?.width ?? KI_SYMBOL_CONFIG.defaultLineWidth],
+    ["type", stroke?.type || "default"],
+    ["color", 0, 0, 0, 0]
+  ];
+}
+
+// KiCad font block for a text size in mm.
+function symbolFont(size, bold = false, italic = false) {
+  return ["font", ["size", size, size], bold && "bold", italic && "italic"];
+}
+
+// Work out symbol-wide pin name/number display. KiCad can only hide names or
+// numbers for the whole symbol, so they are hidden when every pin hides them;
+// the name offset is the most common gap EasyEDA leaves before visible names.
+function symbolPinDisplay(pins) {
+  const namedPins = pins.filter((pin) => !pin.nameHidden);
+  const offsets = new Map();
+  for (const pin of namedPins) {
+    const offset = Number(Math.max(pin.nameOffset ?? 0, 0).toFixed(2));
+    offsets.set(offset, (offsets.get(offset) || 0) + 1);
+  }
+  const [nameOffset = null] = [...offsets.entries()]
+    .sort((a, b) => b[1] - a[1] || a[0] - b[0])
+    .map(([offset]) => offset);
+  return {
+    hideNames: pins.length > 0 && !namedPins.length,
+    hideNumbers: pins.length > 0 && pins.every((pin) => pin.numberHidden),
+    nameOffset
+  };
+}
+
+// Emit a single KiCad pin from normalized pin data. A name hidden on only
+// some pins is written as "~", which KiCad draws as nothing.
+function exportSymbolPin(pin, display = {}) {
+  const pinName =
+    pin.nameHidden && !display.hideNames ? "~" : applyPinNameStyle(pin.name);
   const pinType = pin.type.startsWith("_") ? pin.type.slice(1) : pin.type;
-  return `(pin ${pinType} ${pin.style}
-  (at ${pin.posX.toFixed(2)} ${pin.posY.toFixed(2)} ${pin.orientation})
-  (length ${pin.length.toFixed(2)})
-  (name "${pinName}" (effects (font (size ${KI_SYMBOL_CONFIG.pinNameSize} ${KI_SYMBOL_CONFIG.pinNameSize}))))
-  (number "${pin.number}" (effects (font (size ${KI_SYMBOL_CONFIG.pinNumSize} ${KI_SYMBOL_CONFIG.pinNumSize}))))
-)`;
+  return [
+    "pin",
+    pinType,
+    pin.style,
+    ["at", pin.posX, pin.posY, pin.orientation],
+    ["length", pin.length],
+    pin.hidden && "hide",
+    [
+      "name",
+      str(pinName),
+      ["effects", symbolFont(pin.nameSize ?? KI_SYMBOL_CONFIG.pinNameSize)]
+    ],
+    [
+      "number",
+      str(pin.number),
+      ["effects", symbolFont(pin.numberSize ?? KI_SYMBOL_CONFIG.pinNumSize)]
+    ],
+    ...(pin.alternates || []).map((alternate) => [
+      "alternate",
+      str(applyTextStyle(alternate.name)),
+      alternate.type,
+      pin.style
+    ])
+  ];
+}
+
+// Emit a KiCad symbol text item. Symbol text angles are in tenths of a degree.
+function exportSymbolText(text) {
+  return [
+    "text",
+    str(text.text),
+    ["at", text.posX, text.posY, text.vertical ? 900 : 0],
+    [
+      "effects",
+      symbolFont(text.size, text.bold, text.italic),
+      ["justify", text.justify, "bottom"]
+    ]
+  ];
 }
 
 // Emit a KiCad rectangle from start/end corners.
 function exportSymbolRectangle(rect) {
-  return `(rectangle
-  (start ${rect.posX0.toFixed(2)} ${rect.posY0.toFixed(2)})
-  (end ${rect.posX1.toFixed(2)} ${rect.posY1.toFixed(2)})
-  (stroke (width ${KI_SYMBOL_CONFIG.defaultLineWidth}) (type default) (color 0 0 0 0))
-  (fill (type background))
-)`;
+  return [
+    "rectangle",
+    ["start", rect.posX0, rect.posY0],
+    ["end", rect.posX1, rect.posY1],
+    symbolStroke(rect.stroke),
+    ["fill", ["type", "background"]]
+  ];
 }
 
 // Emit a KiCad circle from center and radius.
 function exportSymbolCircle(circle) {
-  return `(circle
-  (center ${circle.posX.toFixed(2)} ${circle.posY.toFixed(2)})
-  (radius ${circle.radius.toFixed(2)})
-  (stroke (width ${KI_SYMBOL_CONFIG.defaultLineWidth}) (type default) (color 0 0 0 0))
-  (fill (type ${circle.background ? "background" : "none"}))
-)`;
+  return [
+    "circle",
+    ["center", circle.posX, circle.posY],
+    ["radius", circle.radius],
+    symbolStroke(circle.stroke),
+    ["fill", ["type", circle.background ? "background" : "none"]]
+  ];
 }
 
 // Emit a KiCad arc using start/mid/end points.
 function exportSymbolArc(arc) {
-  return `(arc
-  (start ${arc.startX.toFixed(2)} ${arc.startY.toFixed(2)})
-  (mid ${arc.middleX.toFixed(2)} ${arc.middleY.toFixed(2)})
-  (end ${arc.endX.toFixed(2)} ${arc.endY.toFixed(2)})
-  (stroke (width ${KI_SYMBOL_CONFIG.defaultLineWidth}) (type default) (color 0 0 0 0))
-  (fill (type ${arc.fill ? "background" : "none"}))
-)`;
+  return [
+    "arc",
+    ["start", arc.startX, arc.startY],
+    ["mid", arc.middleX, arc.middleY],
+    ["end", arc.endX, arc.endY],
+    symbolStroke(arc.stroke),
+    ["fill", ["type", arc.fill ? "background" : "none"]]
+  ];
 }
 
 // Emit a KiCad polyline, optionally filled if closed.
 function exportSymbolPolygon(poly) {
-  return `(polyline
-  (pts
-${poly.points
-  .map((point) => `    (xy ${point[0].toFixed(2)} ${point[1].toFixed(2)})`)
-  .join("\n")}
-  )
-  (stroke (width ${KI_SYMBOL_CONFIG.defaultLineWidth}) (type default) (color 0 0 0 0))
-  (fill (type ${poly.isClosed ? "background" : "none"}))
-)`;
-}
-
-// Indent multi-line output to match KiCad formatting.
-function indentLines(text, indentLevel) {
-  if (!text.trim()) {
-    return "";
+  return [
+    "polyline",
+    [
+      "pts",
+      ...poly.points.map((point) => ["xy", point[0], point[1]])
+    ],
+    symbolStroke(poly.stroke),
+    ["fill", ["type", (poly.fill ?? poly.isClosed) ? "background" : "none"]]
+  ];
+}
+
+// Build a KiCad symbol Bézier curve, or a finely flattened polyline for
+// formats without Bézier support.
+function exportSymbolBezier(bezier, format) {
+  const [start, control1, control2, end] = bezier.points;
+  if (!format.bezier) {
+    const points = flattenCubic(
+      {
+        fromX: start[0],
+        fromY: start[1],
+        x1: control1[0],
+        y1: control1[1],
+        x2: control2[0],
+        y2: control2[1],
+        x: end[0],
+        y: end[1]
+      },
+      ARC_FLATTEN_TOLERANCE
+    );
+    return exportSymbolPolygon({
+      points: [start, ...points.map((point) => [point.x, point.y])],
+      stroke: bezier.stroke,
+      fill: false
+    });
   }
-  const indent = "  ".repeat(indentLevel);
-  return text
-    .split("\n")
-    .map((line) => (line.trim() ? `${indent}${line}` : line))
-    .join("\n");
+  return [
+    "bezier",
+    ["pts", ...bezier.points.map((point) => ["xy", point[0], point[1]])],
+    symbolStroke(bezier.stroke),
+    ["fill", ["type", "none"]]
+  ];
 }
 
 // Convert rotation angles into KiCad's signed degree convention.
@@ -943,22 +1761,71 @@ function rotate(x, y, degrees) {
   };
 }
 
-// Build KiCad drill syntax for round or oval holes.
-function drillToKi(holeRadius, holeLength, padHeight, padWidth) {
+// Read a slot's direction and length from the pad's holePoint field, which
+// holds the two ends of the slot centre line ("x1 y1 x2 y2"). The angle uses
+// the same counter-clockwise convention as pad rotations; null if not a slot.
+function slotFromHolePoint(holePoint, holeRadius, holeLength) {
+  const values = String(holePoint || "")
+    .trim()
+    .split(/[\s,]+/)
+    .map(Number);
+  if (values.length < 4 || values.some((value) => !Number.isFinite(value))) {
+    return null;
+  }
+  const [x1, y1, x2, y2] = values;
+  const dx = convertToMm(x2 - x1);
+  const dy = convertToMm(y2 - y1);
+  const distance = Math.hypot(dx, dy);
+  if (distance < 1e-6) {
+    return null;
+  }
+  return {
+    angle: (Math.atan2(-dy, dx) * 180) / Math.PI,
+    length: Math.max(distance, holeLength, holeRadius * 2)
+  };
+}
+
+// Fold an angle difference into [0, 180) degrees.
+function halfTurnAngle(degrees) {
+  return ((degrees % 180) + 180) % 180;
+}
+
+// Pad number as written to KiCad. EasyEDA sometimes stores "name(number)".
+function kiPadNumber(pad) {
+  const number = pad.number || "";
+  if (number.includes("(") && number.includes(")")) {
+    return number.split("(")[1].split(")")[0];
+  }
+  return number;
+}
+
+// Build KiCad drill syntax for round or oval holes. With a known slot
+// direction the oval is laid along it relative to the pad orientation;
+// otherwise it follows the pad's longer side.
+function drillToKi(holeRadius, holeLength, padHeight, padWidth, slot, padAngle) {
+  if (holeRadius > 0 && slot) {
+    const relative = halfTurnAngle(slot.angle - padAngle);
+    const alongX = relative < 45 || relative >= 135;
+    const diameter = holeRadius * 2;
+    const length = slot.length;
+    return alongX
+      ? ["drill", "oval", length, diameter]
+      : ["drill", "oval", diameter, length];
+  }
   if (holeRadius > 0 && holeLength && holeLength !== 0) {
     const maxDistanceHole = Math.max(holeRadius * 2, holeLength);
     const pos0 = padHeight - maxDistanceHole;
     const pos90 = padWidth - maxDistanceHole;
     const maxDistance = Math.max(pos0, pos90);
     if (maxDistance === pos0) {
-      return `(drill oval ${(holeRadius * 2).toFixed(2)} ${holeLength.toFixed(2)})`;
+      return ["drill", "oval", holeRadius * 2, holeLength];
     }
-    return `(drill oval ${holeLength.toFixed(2)} ${(holeRadius * 2).toFixed(2)})`;
+    return ["drill", "oval", holeLength, holeRadius * 2];
   }
   if (holeRadius > 0) {
-    return `(drill ${(2 * holeRadius).toFixed(2)})`;
+    return ["drill", 2 * holeRadius];
   }
-  return "";
+  return null;
 }
 
 // Convert footprint units and coordinate systems into KiCad-friendly values.
@@ -976,7 +1843,12 @@ function convertFootprintToKiCad(footprint) {
     width: convertToMm(pad.width),
     height: convertToMm(pad.height),
     holeRadius: convertToMm(pad.holeRadius),
-    holeLength: convertToMm(pad.holeLength)
+    holeLength: convertToMm(pad.holeLength),
+    slot: slotFromHolePoint(
+      pad.holePoint,
+      convertToMm(pad.holeRadius),
+      convertToMm(pad.holeLength)
+    )
   }));
 
   // Convert track widths into millimeters.
@@ -1002,6 +1874,12 @@ function convertFootprintToKiCad(footprint) {
     radius: convertToMm(via.radius)
   }));
 
+  // Flatten region outlines into polygons in millimeters.
+  const regions = footprint.regions.map((region) => ({
+    ...region,
+    points: svgPathToPolygon(region.path)
+  }));
+
   // Convert circle geometry.
   const circles = footprint.circles.map((circle) => ({
     ...circle,
@@ -1040,6 +1918,7 @@ function convertFootprintToKiCad(footprint) {
             ? -convertToMm(footprint.model3d.translation.z)
             : 0
         },
+        outline: footprint.model3d.outline.map(convertToMm),
         rotation: {
           x: (360 - convertToMm(footprint.model3d.rotation.x)) % 360,
           y: (360 - convertToMm(footprint.model3d.rotation.y)) % 360,
@@ -1059,23 +1938,751 @@ function convertFootprintToKiCad(footprint) {
     arcs: footprint.arcs,
     rectangles,
     texts,
-    model3d
+    regions,
+    model3d,
+    unsupported: footprint.unsupported
+  };
+}
+
+// Split a space-separated layer list into quoted layer atoms.
+function layerAtoms(layers) {
+  return String(layers || "")
+    .split(/\s+/)
+    .filter(Boolean)
+    .map((layer) => str(layer));
+}
+
+// KiCad 7 replaced the bare (width) token on graphics with a (stroke) block.
+function footprintStroke(width, format) {
+  const value = Math.max(width, 0.01);
+  return format.strokeBlocks
+    ? ["stroke", ["width", value], ["type", "solid"]]
+    : ["width", value];
+}
+
+// Build (pts ...) for a footprint polygon relative to the footprint origin.
+function footprintPolygonPoints(points, bbox) {
+  return [
+    "pts",
+    ...points.map((point) => [
+      "xy",
+      point.x - bbox.x,
+      point.y - bbox.y
+    ])
+  ];
+}
+
+// Convert a SOLIDREGION into footprint items: filled fp_poly for solid
+// regions (copper or graphics), a rule area for "cutout" keepouts and an
+// Edge.Cuts outline for "npth" cutouts. Unknown kinds are reported.
+function exportFootprintRegion(region, kiFootprint, format, warnings) {
+  if (region.points.length < 3) {
+    warnings.push(`Footprint: skipped a ${region.type} region without a usable outline.`);
+    return [];
+  }
+  const pts = footprintPolygonPoints(region.points, kiFootprint.bbox);
+
+  if (region.type === "cutout") {
+    return [
+      [
+        "zone",
+        ["net", 0],
+        ["net_name", str("")],
+        ["layers", str(KI_KEEPOUT_LAYERS[region.layerId] || "F&B.Cu")],
+        ["hatch", "edge", 0.508],
+        ["connect_pads", ["clearance", 0]],
+        ["min_thickness", 0.254],
+        [
+          "keepout",
+          ["tracks", "not_allowed"],
+          ["vias", "not_allowed"],
+          ["pads", "allowed"],
+          ["copperpour", "not_allowed"],
+          ["footprints", "allowed"]
+        ],
+        ["fill", ["thermal_gap", 0.508], ["thermal_bridge_width", 0.508]],
+        ["polygon", pts]
+      ]
+    ];
+  }
+
+  if (region.type === "npth") {
+    return [
+      [
+        "fp_poly",
+        pts,
+        ["layer", str("Edge.Cuts")],
+        footprintStroke(0.05, format),
+        ["fill", "none"]
+      ]
+    ];
+  }
+
+  if (region.type !== "solid") {
+    warnings.push(`Footprint: skipped a region of unsupported type "${region.type}".`);
+    return [];
+  }
+
+  // Multi-layer copper regions go on both sides.
+  const layers =
+    region.layerId === 11 ? ["F.Cu", "B.Cu"] : [KI_LAYERS[region.layerId] || "F.Fab"];
+  const filled = layers[0] !== "Edge.Cuts";
+  return layers.map((layer) => [
+    "fp_poly",
+    pts,
+    ["layer", str(layer)],
+    footprintStroke(filled ? 0 : 0.05, format),
+    ["fill", filled ? "solid" : "none"]
+  ]);
+}
+
+// Collect points (relative to the footprint origin) covering the pads and
+// holes, copper regions and board cutouts, fab/silk graphics and the 3D model
+// outline. `include` picks which of those four groups to cover.
+function courtyardPoints(
+  kiFootprint,
+  include = { pads: true, regions: true, graphics: true, model: true }
+) {
+  const points = [];
+  const add = (x, y) => {
+    if (Number.isFinite(x) && Number.isFinite(y)) {
+      points.push({ x: x - kiFootprint.bbox.x, y: y - kiFootprint.bbox.y });
+    }
+  };
+  const addPairs = (values) => {
+    for (let i = 0; i + 1 < values.length; i += 2) {
+      add(values[i], values[i + 1]);
+    }
+  };
+  const addCircle = (cx, cy, radius) => {
+    add(cx - radius, cy - radius);
+    add(cx + radius, cy + radius);
+  };
+  const isSourceLayer = (layerId) =>
+    COURTYARD_SOURCE_LAYER_PATTERN.test(KI_LAYERS[layerId] || "");
+
+  for (const pad of include.pads ? kiFootprint.pads : []) {
+    if (pad.shape === "POLYGON" && pad.points) {
+      addPairs(String(pad.points).trim().split(/\s+/).map(fpToKi));
+      continue;
+    }
+    // Corners of the (possibly rotated) pad rectangle.
+    const radians = toRadians(toNumber(pad.rotation));
+    const halfW = pad.width / 2;
+    const halfH = pad.height / 2;
+    const corners = [
+      [-halfW, -halfH],
+      [halfW, -halfH],
+      [halfW, halfH],
+      [-halfW, halfH]
+    ];
+    for (const [dx, dy] of corners) {
+      add(
+        pad.centerX + dx * Math.cos(radians) + dy * Math.sin(radians),
+        pad.centerY - dx * Math.sin(radians) + dy * Math.cos(radians)
+      );
+    }
+  }
+  for (const hole of include.pads ? kiFootprint.holes : []) {
+    addCircle(hole.centerX, hole.centerY, hole.radius);
+  }
+  // Keepouts only restrict the board, so they do not widen the courtyard;
+  // silk and fab regions are covered with the graphics below.
+  const isPhysicalRegion = (region) =>
+    region.type !== "cutout" && !isSourceLayer(region.layerId);
+  for (const region of include.regions ? kiFootprint.regions.filter(isPhysicalRegion) : []) {
+    region.points.forEach((point) => add(point.x, point.y));
+  }
+  if (include.model) {
+    addPairs(kiFootprint.model3d?.outline || []);
+  }
+  if (!include.graphics) {
+    return points;
+  }
+  for (const track of kiFootprint.tracks.filter((item) => isSourceLayer(item.layerId))) {
+    addPairs(String(track.points || "").trim().split(/\s+/).map(fpToKi));
+  }
+  for (const rect of kiFootprint.rectangles.filter((item) => isSourceLayer(item.layerId))) {
+    add(rect.x, rect.y);
+    add(rect.x + rect.width, rect.y + rect.height);
+  }
+  for (const circle of kiFootprint.circles.filter((item) => isSourceLayer(item.layerId))) {
+    addCircle(circle.cx, circle.cy, circle.radius);
+  }
+  for (const arc of kiFootprint.arcs.filter((item) => isSourceLayer(item.layerId))) {
+    svgPathToPolygon(arc.path).forEach((point) => add(point.x, point.y));
+  }
+  for (const region of kiFootprint.regions.filter((item) => isSourceLayer(item.layerId))) {
+    region.points.forEach((point) => add(point.x, point.y));
+  }
+  return points;
+}
+
+// Build an F.CrtYd rectangle around everything the part occupies, grown by
+// the clearance and snapped outwards to the courtyard grid.
+function footprintCourtyard(kiFootprint, clearance, format) {
+  const points = courtyardPoints(kiFootprint);
+  if (!points.length) {
+    return null;
+  }
+  const snapDown = (value) => Math.floor(value / COURTYARD_GRID + 1e-6) * COURTYARD_GRID;
+  const snapUp = (value) => Math.ceil(value / COURTYARD_GRID - 1e-6) * COURTYARD_GRID;
+  const xs = points.map((point) => point.x);
+  const ys = points.map((point) => point.y);
+  const startX = snapDown(Math.min(...xs) - clearance);
+  const startY = snapDown(Math.min(...ys) - clearance);
+  const endX = snapUp(Math.max(...xs) + clearance);
+  const endY = snapUp(Math.max(...ys) + clearance);
+  return [
+    "fp_rect",
+    ["start", startX, startY],
+    ["end", endX, endY],
+    ["layer", str("F.CrtYd")],
+    footprintStroke(COURTYARD_LINE_WIDTH, format),
+    ["fill", "none"]
+  ];
+}
+
+// Center of the bounding box around a set of points, or null without points.
+function pointsCenter(points) {
+  if (!points.length) {
+    return null;
+  }
+  const xs = points.map((point) => point.x);
+  const ys = points.map((point) => point.y);
+  return {
+    x: (Math.min(...xs) + Math.max(...xs)) / 2,
+    y: (Math.min(...ys) + Math.max(...ys)) / 2
+  };
+}
+
+// Move the footprint origin to the chosen anchor. Everything is written
+// relative to `bbox`, so only the origin and the 3D model offset (which is
+// stored relative to the origin) change. The body is the 3D model outline,
+// or the fab/silk graphics when there is none. Anchors that cannot be found
+// leave the origin alone and add a warning.
+function anchorFootprint(kiFootprint, anchor, warnings) {
+  let offset = null;
+  if (anchor === "pads") {
+    offset = pointsCenter(courtyardPoints(kiFootprint, { pads: true }));
+  } else if (anchor === "body") {
+    offset =
+      pointsCenter(courtyardPoints(kiFootprint, { model: true })) ||
+      pointsCenter(courtyardPoints(kiFootprint, { graphics: true }));
+  } else if (anchor === "pin1") {
+    const pad = kiFootprint.pads.find((item) => kiPadNumber(item) === "1");
+    offset = pad && {
+      x: pad.centerX - kiFootprint.bbox.x,
+      y: pad.centerY - kiFootprint.bbox.y
+    };
+  } else {
+    return;
+  }
+  if (!offset) {
+    warnings.push(
+      `Footprint: no ${anchor === "pin1" ? "pad 1" : anchor} to anchor on; kept the EasyEDA origin.`
+    );
+    return;
+  }
+
+  kiFootprint.bbox = {
+    x: kiFootprint.bbox.x + offset.x,
+    y: kiFootprint.bbox.y + offset.y
+  };
+  if (kiFootprint.model3d) {
+    kiFootprint.model3d.translation.x -= offset.x;
+    kiFootprint.model3d.translation.y += offset.y;
+  }
+}
+
+// Distance from a point to the segment a-b.
+function segmentDistance(px, py, ax, ay, bx, by) {
+  const dx = bx - ax;
+  const dy = by - ay;
+  const lengthSquared = dx * dx + dy * dy;
+  const t = lengthSquared
+    ? Math.min(1, Math.max(0, ((px - ax) * dx + (py - ay) * dy) / lengthSquared))
+    : 0;
+  return Math.hypot(px - (ax + t * dx), py - (ay + t * dy));
+}
+
+// Signed distance from a point to a polygon outline (negative inside).
+function polygonDistance(points, x, y) {
+  let distance = Infinity;
+  let inside = false;
+  for (let i = 0, j = points.length - 1; i < points.length; j = i, i += 1) {
+    const a = points[i];
+    const b = points[j];
+    distance = Math.min(distance, segmentDistance(x, y, a.x, a.y, b.x, b.y));
+    if (a.y > y !== b.y > y && x < ((b.x - a.x) * (y - a.y)) / (b.y - a.y) + a.x) {
+      inside = !inside;
+    }
+  }
+  return inside ? -distance : distance;
+}
+
+// Build a signed-distance function (negative inside) for a pad's outline,
+// in coordinates relative to the footprint origin.
+function padOutlineDistance(pad, bbox) {
+  const centerX = pad.centerX - bbox.x;
+  const centerY = pad.centerY - bbox.y;
+  const shape = KI_PAD_SHAPE[pad.shape];
+
+  // Polygon pads are measured against their real outline, so notches and
+  // cut-outs stay free for silkscreen.
+  if (pad.shape === "POLYGON") {
+    const values = String(pad.points || "").trim().split(/\s+/).map(fpToKi);
+    const points = [];
+    for (let i = 0; i + 1 < values.length; i += 2) {
+      points.push({ x: values[i] - bbox.x, y: values[i + 1] - bbox.y });
+    }
+    if (points.length >= 3) {
+      return (x, y) => polygonDistance(points, x, y);
+    }
+  }
+
+  const halfW = pad.width / 2;
+  const halfH = pad.height / 2;
+  if (shape === "circle") {
+    return (x, y) => Math.hypot(x - centerX, y - centerY) - Math.max(halfW, halfH);
+  }
+
+  // Rectangles and ovals are measured in the pad's own (unrotated) frame.
+  const radians = toRadians(toNumber(pad.rotation));
+  const cos = Math.cos(radians);
+  const sin = Math.sin(radians);
+  const toLocal = (x, y) => ({
+    x: (x - centerX) * cos - (y - centerY) * sin,
+    y: (x - centerX) * sin + (y - centerY) * cos
+  });
+  if (shape === "oval") {
+    const radius = Math.min(halfW, halfH);
+    const spanX = halfW - radius;
+    const spanY = halfH - radius;
+    return (x, y) => {
+      const local = toLocal(x, y);
+      return segmentDistance(local.x, local.y, -spanX, -spanY, spanX, spanY) - radius;
+    };
+  }
+  return (x, y) => {
+    const local = toLocal(x, y);
+    const qx = Math.abs(local.x) - halfW;
+    const qy = Math.abs(local.y) - halfH;
+    return Math.hypot(Math.max(qx, 0), Math.max(qy, 0)) + Math.min(Math.max(qx, qy), 0);
+  };
+}
+
+// Outline of a polygon pad in mm, without repeated or collinear points.
+function padPolygonPoints(pad) {
+  const values = String(pad.points || "").trim().split(/\s+/).map(fpToKi);
+  const points = [];
+  for (let i = 0; i + 1 < values.length; i += 2) {
+    points.push({ x: values[i], y: values[i + 1] });
+  }
+  const previous = (list, index) => list[(index + list.length - 1) % list.length];
+  const distinct = points.filter((point, index) => {
+    const before = previous(points, index);
+    return Math.hypot(point.x - before.x, point.y - before.y) > 1e-6;
+  });
+  return distinct.filter((point, index) => {
+    const before = previous(distinct, index);
+    const after = distinct[(index + 1) % distinct.length];
+    return segmentDistance(point.x, point.y, before.x, before.y, after.x, after.y) > 1e-4;
+  });
+}
+
+// Area enclosed by a polygon.
+function polygonArea(points) {
+  let area = 0;
+  for (let i = 0, j = points.length - 1; i < points.length; j = i, i += 1) {
+    area += points[j].x * points[i].y - points[i].x * points[j].y;
+  }
+  return Math.abs(area) / 2;
+}
+
+// Smallest rectangle around a polygon, tried along each of its edges. The
+// angle follows the counter-clockwise pad convention and is folded into
+// [0, 90); `local` holds the points relative to the rectangle centre.
+function minimumAreaRect(points) {
+  let best = null;
+  points.forEach((start, index) => {
+    const end = points[(index + 1) % points.length];
+    const degrees = (Math.atan2(start.y - end.y, end.x - start.x) * 180) / Math.PI;
+    let angle = ((degrees % 90) + 90) % 90;
+    if (angle > 90 - 1e-6 || angle < 1e-6) {
+      angle = 0;
+    }
+    const radians = toRadians(angle);
+    const cos = Math.cos(radians);
+    const sin = Math.sin(radians);
+    const rotated = points.map((point) => ({
+      x: point.x * cos - point.y * sin,
+      y: point.x * sin + point.y * cos
+    }));
+    const xs = rotated.map((point) => point.x);
+    const ys = rotated.map((point) => point.y);
+    const minX = Math.min(...xs);
+    const minY = Math.min(...ys);
+    const width = Math.max(...xs) - minX;
+    const height = Math.max(...ys) - minY;
+    if (best && width * height >= best.width * best.height - 1e-9) {
+      return;
+    }
+    const midX = minX + width / 2;
+    const midY = minY + height / 2;
+    best = {
+      angle,
+      width,
+      height,
+      centerX: midX * cos + midY * sin,
+      centerY: -midX * sin + midY * cos,
+      local: rotated.map((point) => ({ x: point.x - midX, y: point.y - midY }))
+    };
+  });
+  return best;
+}
+
+// Signed distance to a rectangle centred on the origin, with corners rounded
+// by `radius` and the listed corners cut back by `chamfer`.
+function padShapeDistance(x, y, halfW, halfH, radius, chamfer = 0, corners = []) {
+  const qx = Math.abs(x) - halfW + radius;
+  const qy = Math.abs(y) - halfH + radius;
+  const distance =
+    Math.hypot(Math.max(qx, 0), Math.max(qy, 0)) + Math.min(Math.max(qx, qy), 0) - radius;
+  const cut = corners.some(
+    (corner) => Math.sign(x) === corner.x && Math.sign(y) === corner.y
+  );
+  if (!cut) {
+    return distance;
+  }
+  return Math.max(distance, (Math.abs(x) + Math.abs(y) - (halfW + halfH - chamfer)) / Math.SQRT2);
+}
+
+// Corner radius that keeps the outline points closest to a rounded
+// rectangle, found by ternary search over [0, half the short side].
+function fitCornerRadius(points, halfW, halfH) {
+  const deviation = (radius) =>
+    Math.max(
+      ...points.map((point) =>
+        Math.abs(padShapeDistance(point.x, point.y, halfW, halfH, radius))
+      )
+    );
+  let low = 0;
+  let high = Math.min(halfW, halfH);
+  for (let i = 0; i < 40; i += 1) {
+    const a = low + (high - low) / 3;
+    const b = high - (high - low) / 3;
+    if (deviation(a) <= deviation(b)) {
+      high = b;
+    } else {
+      low = a;
+    }
+  }
+  return (low + high) / 2;
+}
+
+// Recognise a polygon pad as a plain KiCad shape: a rectangle, a rectangle
+// with chamfered corners, a rounded rectangle or an oval. Every outline point
+// has to sit on the matching shape; chamfers are sized from the area the
+// polygon loses against its bounding rectangle and radii are fitted to the
+// points. Returns null for anything else, or when a drilled pad's outline is
+// not centred on its hole.
+function recognizePolygonPad(pad) {
+  const points = padPolygonPoints(pad);
+  if (points.length < 4) {
+    return null;
+  }
+  const rect = minimumAreaRect(points);
+  const halfW = rect.width / 2;
+  const halfH = rect.height / 2;
+  const shortSide = Math.min(rect.width, rect.height);
+  if (shortSide < PAD_SHAPE_TOLERANCE * 2) {
+    return null;
+  }
+  if (
+    pad.holeRadius > 0 &&
+    Math.hypot(rect.centerX - pad.centerX, rect.centerY - pad.centerY) > PAD_SHAPE_TOLERANCE
+  ) {
+    return null;
+  }
+
+  const fits = (distance) =>
+    rect.local.every((point) => Math.abs(distance(point.x, point.y)) <= PAD_SHAPE_TOLERANCE);
+  const missing = rect.width * rect.height - polygonArea(points);
+  const corners = PAD_CORNERS.filter(
+    (corner) =>
+      !rect.local.some(
+        (point) =>
+          Math.hypot(point.x - corner.x * halfW, point.y - corner.y * halfH) <=
+          PAD_SHAPE_TOLERANCE
+      )
+  );
+  const result = {
+    centerX: rect.centerX,
+    centerY: rect.centerY,
+    width: rect.width,
+    height: rect.height,
+    orientation: rect.angle
+  };
+
+  if (!corners.length) {
+    return fits((x, y) => padShapeDistance(x, y, halfW, halfH, 0))
+      ? { ...result, shape: "rect" }
+      : null;
+  }
+
+  // A chamfer adds exactly one outline point per cut corner.
+  if (points.length === 4 + corners.length) {
+    const chamfer = Math.sqrt((2 * missing) / corners.length);
+    if (
+      chamfer <= shortSide / 2 &&
+      fits((x, y) => padShapeDistance(x, y, halfW, halfH, 0, chamfer, corners))
+    ) {
+      return {
+        ...result,
+        shape: "roundrect",
+        roundrectRatio: 0,
+        chamferRatio: chamfer / shortSide,
+        chamferCorners: corners.map((corner) => corner.name)
+      };
+    }
+  }
+
+  // Rounded corners are traced with at least two segments each.
+  if (corners.length === 4 && points.length >= 12) {
+    if (fits((x, y) => padShapeDistance(x, y, halfW, halfH, shortSide / 2))) {
+      return Math.abs(rect.width - rect.height) <= PAD_SHAPE_TOLERANCE
+        ? { ...result, shape: "circle", height: rect.width, orientation: 0 }
+        : { ...result, shape: "oval" };
+    }
+    const radius = fitCornerRadius(rect.local, halfW, halfH);
+    if (fits((x, y) => padShapeDistance(x, y, halfW, halfH, radius))) {
+      return { ...result, shape: "roundrect", roundrectRatio: radius / shortSide };
+    }
+  }
+  return null;
+}
+
+// Point inside a polygon farthest from its outline (its pole of
+// inaccessibility), found by a grid search over the bounding box that is
+// refined around the best sample. Returns { x, y, distance }.
+function polygonPole(points) {
+  const xs = points.map((point) => point.x);
+  const ys = points.map((point) => point.y);
+  let minX = Math.min(...xs);
+  let minY = Math.min(...ys);
+  let spanX = Math.max(...xs) - minX;
+  let spanY = Math.max(...ys) - minY;
+  let best = { x: minX + spanX / 2, y: minY + spanY / 2, distance: -Infinity };
+  for (let round = 0; round < POLE_SEARCH_ROUNDS; round += 1) {
+    for (let i = 0; i <= POLE_SEARCH_GRID; i += 1) {
+      for (let j = 0; j <= POLE_SEARCH_GRID; j += 1) {
+        const x = minX + (spanX * i) / POLE_SEARCH_GRID;
+        const y = minY + (spanY * j) / POLE_SEARCH_GRID;
+        const distance = -polygonDistance(points, x, y);
+        if (distance > best.distance) {
+          best = { x, y, distance };
+        }
+      }
+    }
+    // Search the cells around the best sample more finely next round.
+    spanX = (spanX * 2) / POLE_SEARCH_GRID;
+    spanY = (spanY * 2) / POLE_SEARCH_GRID;
+    minX = best.x - spanX / 2;
+    minY = best.y - spanY / 2;
+  }
+  return best;
+}
+
+// Position and diameter of the round anchor for a custom pad: the largest
+// circle that stays inside the polygon. The pad position is kept when it
+// leaves room for at least half that circle, so drill and pad stay
+// together; otherwise the anchor moves to the polygon's pole.
+function customPadAnchor(pad, points) {
+  const pole = polygonPole(points);
+  const distance = -polygonDistance(points, pad.centerX, pad.centerY);
+  const anchor =
+    distance >= pole.distance / 2 ? { x: pad.centerX, y: pad.centerY, distance } : pole;
+  return {
+    x: anchor.x,
+    y: anchor.y,
+    size: Math.max(anchor.distance * 2, CUSTOM_PAD_MIN_ANCHOR)
+  };
+}
+
+// Find the parts of a curve (t from 0 to 1) whose points are clear. The curve
+// is sampled every SILK_CLIP_STEP and each crossing refined by bisection.
+function clearRanges(pointAt, length, isClear) {
+  const steps = Math.max(8, Math.ceil(length / SILK_CLIP_STEP));
+  const crossing = (clearT, blockedT) => {
+    for (let i = 0; i < 24; i += 1) {
+      const t = (clearT + blockedT) / 2;
+      if (isClear(pointAt(t))) {
+        clearT = t;
+      } else {
+        blockedT = t;
+      }
+    }
+    return clearT;
+  };
+
+  const ranges = [];
+  let previousT = 0;
+  let previousClear = isClear(pointAt(0));
+  let start = previousClear ? 0 : null;
+  for (let step = 1; step <= steps; step += 1) {
+    const t = step / steps;
+    const clear = isClear(pointAt(t));
+    if (clear && !previousClear) {
+      start = crossing(t, previousT);
+    } else if (!clear && previousClear) {
+      ranges.push([start, crossing(previousT, t)]);
+    }
+    previousT = t;
+    previousClear = clear;
+  }
+  if (previousClear) {
+    ranges.push([start, 1]);
+  }
+  return ranges.filter(([from, to]) => (to - from) * length >= SILK_MIN_LENGTH);
+}
+
+// Clip silkscreen lines and arcs so they stay `clearance` mm (plus half the
+// line width) away from pad and hole outlines on the same side. Graphics on
+// other layers pass through untouched.
+function createSilkClipper(kiFootprint, clearance) {
+  const outlines = {};
+  for (const [layer, padLayerIds] of Object.entries(SILK_PAD_LAYERS)) {
+    outlines[layer] = [
+      ...kiFootprint.pads
+        .filter((pad) => padLayerIds.includes(pad.layerId))
+        .map((pad) => padOutlineDistance(pad, kiFootprint.bbox)),
+      ...kiFootprint.holes.map((hole) => {
+        const centerX = hole.centerX - kiFootprint.bbox.x;
+        const centerY = hole.centerY - kiFootprint.bbox.y;
+        return (x, y) => Math.hypot(x - centerX, y - centerY) - hole.radius;
+      })
+    ];
+  }
+  const clearTest = (layer, width) => {
+    const limit = clearance + width / 2;
+    return (point) => outlines[layer].every((distance) => distance(point.x, point.y) >= limit);
+  };
+
+  return {
+    // Returns the clear pieces of a line as [startX, startY, endX, endY].
+    clipSegment(layer, startX, startY, endX, endY, width) {
+      if (!outlines[layer]?.length) {
+        return [[startX, startY, endX, endY]];
+      }
+      const pointAt = (t) => ({
+        x: startX + (endX - startX) * t,
+        y: startY + (endY - startY) * t
+      });
+      return clearRanges(
+        pointAt,
+        Math.hypot(endX - startX, endY - startY),
+        clearTest(layer, width)
+      ).map(([from, to]) => {
+        const a = pointAt(from);
+        const b = pointAt(to);
+        return [a.x, a.y, b.x, b.y];
+      });
+    },
+
+    // Returns the clear pieces of an arc as [startAngle, sweep] in radians.
+    // A full circle that needs no clipping comes back as a single piece.
+    clipArc(layer, centerX, centerY, radius, startAngle, sweep, width) {
+      if (!outlines[layer]?.length) {
+        return [[startAngle, sweep]];
+      }
+      const pointAt = (t) => ({
+        x: centerX + radius * Math.cos(startAngle + sweep * t),
+        y: centerY + radius * Math.sin(startAngle + sweep * t)
+      });
+      const ranges = clearRanges(pointAt, Math.abs(sweep) * radius, clearTest(layer, width));
+      // On a full circle a piece running through angle 0 is split in two.
+      const fullCircle = Math.abs(Math.abs(sweep) - 2 * Math.PI) < 1e-9;
+      if (fullCircle && ranges.length > 1 && ranges[0][0] === 0 && ranges.at(-1)[1] === 1) {
+        const [first] = ranges.splice(0, 1);
+        ranges[ranges.length - 1] = [ranges.at(-1)[0], 1 + first[1]];
+      }
+      return ranges.map(([from, to]) => [startAngle + sweep * from, sweep * (to - from)]);
+    }
   };
 }
 
-// Emit a KiCad footprint file from the converted footprint object.
-function exportKiCadFootprint(kiFootprint, model3dPath) {
-  let output = "";
-  output += KI_FOOTPRINT_TEMPLATES.moduleInfo
-    .replace("{packageLib}", "easyeda2kicad")
-    .replace("{packageName}", kiFootprint.info.name)
-    .replace("{edit}", "5DC5F6A4");
+// Build an fp_arc from a center, radius, start angle and sweep (radians).
+function footprintArc(centerX, centerY, radius, startAngle, sweep, layer, width, format) {
+  const pointAt = (angle) => [
+    centerX + radius * Math.cos(angle),
+    centerY + radius * Math.sin(angle)
+  ];
+  return [
+    "fp_arc",
+    ["start", ...pointAt(startAngle)],
+    ["mid", ...pointAt(startAngle + sweep / 2)],
+    ["end", ...pointAt(startAngle + sweep)],
+    ["layer", ...layerAtoms(layer)],
+    footprintStroke(width, format)
+  ];
+}
+
+// Font block shared by footprint text items.
+function footprintEffects(size, thickness, extra = []) {
+  return [
+    "effects",
+    ["font", ["size", size, size], ["thickness", thickness]],
+    ...extra
+  ];
+}
+
+// Build a footprint line segment.
+function footprintLine(startX, startY, endX, endY, layer, width, format) {
+  return [
+    "fp_line",
+    ["start", startX, startY],
+    ["end", endX, endY],
+    ["layer", ...layerAtoms(layer)],
+    footprintStroke(width, format)
+  ];
+}
+
+// Emit a KiCad footprint file from the converted footprint object. `target`
+// names the footprint library nickname, the 3D model directory and file type
+// the model link points at, the courtyard and silkscreen-to-pad clearances
+// (null for none) and the decimal places numbers are rounded to. Anything left
+// out is added to `warnings`.
+function exportKiCadFootprint(kiFootprint, format, target, warnings) {
+  const {
+    libraryNickname,
+    model3dPath,
+    model3dFormat,
+    courtyardClearance,
+    silkClearance,
+    decimals = KI_FOOTPRINT_DECIMALS
+  } = target;
+  const items = [];
+
+  // Silkscreen is clipped against the pads as it is written out.
+  const silkClipper =
+    silkClearance !== null && silkClearance !== undefined
+      ? createSilkClipper(kiFootprint, silkClearance)
+      : null;
+  const pushLine = (startX, startY, endX, endY, layer, width) => {
+    const pieces = silkClipper
+      ? silkClipper.clipSegment(layer, startX, startY, endX, endY, width)
+      : [[startX, startY, endX, endY]];
+    for (const [sx, sy, ex, ey] of pieces) {
+      items.push(footprintLine(sx, sy, ex, ey, layer, width, format));
+    }
+  };
 
   if (kiFootprint.info.fpType) {
-    output += KI_FOOTPRINT_TEMPLATES.fpType.replace(
-      "{componentType}",
+    items.push([
+      "attr",
       kiFootprint.info.fpType === "smd" ? "smd" : "through_hole"
-    );
+    ]);
   }
 
   // Reference/value text placement uses min/max pad Y to sit outside the part.
@@ -1086,28 +2693,84 @@ function exportKiCadFootprint(kiFootprint, model3dPath) {
     ? Math.max(...kiFootprint.pads.map((pad) => pad.centerY - kiFootprint.bbox.y))
     : 2;
 
-  output += KI_FOOTPRINT_TEMPLATES.reference
-    .replace("{posX}", "0")
-    .replace("{posY}", (yLow - 4).toFixed(2));
-  output += KI_FOOTPRINT_TEMPLATES.value
-    .replace("{packageName}", kiFootprint.info.name)
-    .replace("{posX}", "0")
-    .replace("{posY}", (yHigh + 4).toFixed(2));
-  output += KI_FOOTPRINT_TEMPLATES.fabRef;
+  // KiCad 8 stores reference/value as footprint properties, not fp_text.
+  const referenceAt = ["at", 0, yLow - 4];
+  const valueAt = ["at", 0, yHigh + 4];
+  if (format.footprintProperties) {
+    items.push([
+      "property",
+      str("Reference"),
+      str("REF**"),
+      [...referenceAt, 0],
+      ["layer", str("F.SilkS")],
+      footprintEffects(1, 0.15)
+    ]);
+    items.push([
+      "property",
+      str("Value"),
+      str(kiFootprint.info.name),
+      [...valueAt, 0],
+      ["layer", str("F.Fab")],
+      footprintEffects(1, 0.15)
+    ]);
+  } else {
+    items.push([
+      "fp_text",
+      "reference",
+      str("REF**"),
+      referenceAt,
+      ["layer", str("F.SilkS")],
+      footprintEffects(1, 0.15)
+    ]);
+    items.push([
+      "fp_text",
+      "value",
+      str(kiFootprint.info.name),
+      valueAt,
+      ["layer", str("F.Fab")],
+      footprintEffects(1, 0.15)
+    ]);
+  }
+  items.push([
+    "fp_text",
+    "user",
+    str("${REFERENCE}"),
+    ["at", 0, 0],
+    ["layer", str("F.Fab")],
+    footprintEffects(1, 0.15)
+  ]);
 
   // Convert each EasyEDA track into KiCad fp_line segments.
+  let copperTracks = 0;
   for (const track of kiFootprint.tracks) {
     const points = String(track.points || "").trim().split(/\s+/).map(fpToKi);
+    if (/\.Cu$/.test(KI_LAYERS[track.layerId] || "")) {
+      copperTracks += 1;
+    }
     for (let i = 0; i < points.length - 2; i += 2) {
-      output += KI_FOOTPRINT_TEMPLATES.line
-        .replace("{startX}", (points[i] - kiFootprint.bbox.x).toFixed(2))
-        .replace("{startY}", (points[i + 1] - kiFootprint.bbox.y).toFixed(2))
-        .replace("{endX}", (points[i + 2] - kiFootprint.bbox.x).toFixed(2))
-        .replace("{endY}", (points[i + 3] - kiFootprint.bbox.y).toFixed(2))
-        .replace("{layers}", KI_PAD_LAYER[track.layerId] || "F.Fab")
-        .replace("{strokeWidth}", Math.max(track.strokeWidth, 0.01).toFixed(2));
+      pushLine(
+        points[i] - kiFootprint.bbox.x,
+        points[i + 1] - kiFootprint.bbox.y,
+        points[i + 2] - kiFootprint.bbox.x,
+        points[i + 3] - kiFootprint.bbox.y,
+        KI_LAYERS[track.layerId] || "F.Fab",
+        track.strokeWidth
+      );
     }
   }
+  // KiCad has no footprint tracks: copper lines are plain graphics with no
+  // net, so the board does not treat them as connected to any pad.
+  if (copperTracks) {
+    warnings.push(
+      `Footprint: ${copperTracks} copper track${copperTracks === 1 ? "" : "s"} written as ` +
+        "copper graphics, not connected to any pad."
+    );
+  }
+
+  // Emit solid regions, keepouts and board cutouts.
+  for (const region of kiFootprint.regions) {
+    items.push(...exportFootprintRegion(region, kiFootprint, format, warnings));
+  }
 
   // Convert rectangles into four KiCad fp_line segments.
   for (const rect of kiFootprint.rectangles) {
@@ -1122,40 +2785,48 @@ function exportKiCadFootprint(kiFootprint, model3dPath) {
       [startX, startY + height, startX, startY]
     ];
     for (const [sx, sy, ex, ey] of points) {
-      output += KI_FOOTPRINT_TEMPLATES.line
-        .replace("{startX}", sx.toFixed(2))
-        .replace("{startY}", sy.toFixed(2))
-        .replace("{endX}", ex.toFixed(2))
-        .replace("{endY}", ey.toFixed(2))
-        .replace("{layers}", KI_PAD_LAYER[rect.layerId] || "F.Fab")
-        .replace("{strokeWidth}", Math.max(rect.strokeWidth, 0.01).toFixed(2));
+      pushLine(sx, sy, ex, ey, KI_LAYERS[rect.layerId] || "F.Fab", rect.strokeWidth);
     }
   }
 
-  // Emit pads, including custom polygon pads when needed.
+  // Emit pads. Polygon pads that trace a standard shape are written as that
+  // shape; the rest become custom pads with the polygon as a primitive.
   for (const pad of kiFootprint.pads) {
     let shape = KI_PAD_SHAPE[pad.shape] || "custom";
     let width = Math.max(pad.width, 0.01);
     let height = Math.max(pad.height, 0.01);
     let orientation = angleToKi(pad.rotation);
-    let polygon = "";
-
-    if (shape === "custom") {
-      const points = pad.points.split(" ").map(fpToKi);
-      if (points.length) {
-        width = 0.005;
-        height = 0.005;
+    let centerX = pad.centerX;
+    let centerY = pad.centerY;
+    let shapeOptions = [];
+    let primitives = null;
+
+    const recognized = shape === "custom" ? recognizePolygonPad(pad) : null;
+    if (recognized) {
+      ({ shape, width, height, orientation, centerX, centerY } = recognized);
+      shapeOptions = [
+        recognized.roundrectRatio !== undefined && [
+          "roundrect_rratio",
+          recognized.roundrectRatio
+        ],
+        recognized.chamferRatio !== undefined && ["chamfer_ratio", recognized.chamferRatio],
+        recognized.chamferCorners && ["chamfer", ...recognized.chamferCorners]
+      ];
+    } else if (shape === "custom") {
+      const points = padPolygonPoints(pad);
+      if (points.length >= 3) {
+        const anchor = customPadAnchor(pad, points);
+        centerX = anchor.x;
+        centerY = anchor.y;
+        width = anchor.size;
+        height = width;
         orientation = 0;
-        const path = [];
-        for (let i = 0; i < points.length; i += 2) {
-          const x = (points[i] - kiFootprint.bbox.x) - (pad.centerX - kiFootprint.bbox.x);
-          const y = (points[i + 1] - kiFootprint.bbox.y) - (pad.centerY - kiFootprint.bbox.y);
-          path.push(`(xy ${x.toFixed(2)} ${y.toFixed(2)})`);
-        }
-        polygon =
-          "\n\t\t(primitives \n\t\t\t(gr_poly \n\t\t\t\t(pts " +
-          path.join(" ") +
-          "\n\t\t\t\t) \n\t\t\t\t(width 0.1) \n\t\t\t)\n\t\t)\n\t";
+        const path = points.map((point) => ["xy", point.x - centerX, point.y - centerY]);
+        shapeOptions = [["options", ["clearance", "outline"], ["anchor", "circle"]]];
+        primitives = [
+          "primitives",
+          ["gr_poly", ["pts", ...path], ["width", 0], ["fill", "yes"]]
+        ];
       }
     }
 
@@ -1164,60 +2835,126 @@ function exportKiCadFootprint(kiFootprint, model3dPath) {
         ? KI_PAD_LAYER[pad.layerId] || ""
         : KI_PAD_LAYER_THT[pad.layerId] || "";
 
+    // A round pad can simply turn with its slot; other pads keep their
+    // rotation and get the slot along whichever axis is closest.
+    if (
+      pad.slot &&
+      shape === "circle" &&
+      halfTurnAngle(pad.slot.angle - (orientation || 0)) % 90 > 1e-3
+    ) {
+      orientation = pad.slot.angle;
+    }
+
+    // KiCad drills slots along a pad axis, so a skewed slot is turned.
+    const slotSkew = pad.slot ? halfTurnAngle(pad.slot.angle - (orientation || 0)) % 90 : 0;
+    const slotTurn = Math.min(slotSkew, 90 - slotSkew);
+    if (slotTurn > 1e-3) {
+      warnings.push(
+        `Footprint: pad ${kiPadNumber(pad) || "?"} slot turned ${Number(slotTurn.toFixed(1))}° ` +
+          "to line up with the pad."
+      );
+    }
+
     const drill = drillToKi(
       pad.holeRadius,
       pad.holeLength,
       height,
-      width
+      width,
+      pad.slot,
+      orientation || 0
     );
+    // Keep the hole where EasyEDA put it when the pad position moved.
+    if (drill && Math.hypot(pad.centerX - centerX, pad.centerY - centerY) > 1e-6) {
+      drill.push(["offset", pad.centerX - centerX, pad.centerY - centerY]);
+    }
 
-    let number = pad.number || "";
-    if (number.includes("(") && number.includes(")")) {
-      number = number.split("(")[1].split(")")[0];
+    let padType = "smd";
+    if (pad.holeRadius > 0) {
+      padType = pad.isPlated ? "thru_hole" : "np_thru_hole";
     }
 
-    output += KI_FOOTPRINT_TEMPLATES.pad
-      .replace("{number}", number)
-      .replace("{type}", pad.holeRadius > 0 ? "thru_hole" : "smd")
-      .replace("{shape}", shape)
-      .replace("{posX}", (pad.centerX - kiFootprint.bbox.x).toFixed(2))
-      .replace("{posY}", (pad.centerY - kiFootprint.bbox.y).toFixed(2))
-      .replace("{orientation}", orientation === "" ? "" : orientation.toFixed(2))
-      .replace("{width}", width.toFixed(2))
-      .replace("{height}", height.toFixed(2))
-      .replace("{layers}", layers)
-      .replace("{drill}", drill ? ` ${drill}` : "")
-      .replace("{polygon}", polygon);
+    const number = kiPadNumber(pad);
+
+    items.push([
+      "pad",
+      str(number),
+      padType,
+      shape,
+      [
+        "at",
+        centerX - kiFootprint.bbox.x,
+        centerY - kiFootprint.bbox.y,
+        orientation === "" ? null : orientation
+      ],
+      ["size", width, height],
+      ["layers", ...layerAtoms(layers)],
+      drill,
+      ...shapeOptions,
+      primitives
+    ]);
   }
 
   // Emit unplated mounting holes.
   for (const hole of kiFootprint.holes) {
-    output += KI_FOOTPRINT_TEMPLATES.hole
-      .replace("{posX}", (hole.centerX - kiFootprint.bbox.x).toFixed(2))
-      .replace("{posY}", (hole.centerY - kiFootprint.bbox.y).toFixed(2))
-      .replace("{size}", (hole.radius * 2).toFixed(2));
+    const size = hole.radius * 2;
+    items.push([
+      "pad",
+      str(""),
+      "np_thru_hole",
+      "circle",
+      [
+        "at",
+        hole.centerX - kiFootprint.bbox.x,
+        hole.centerY - kiFootprint.bbox.y
+      ],
+      ["size", size, size],
+      ["drill", size],
+      ["layers", str("*.Cu"), str("*.Mask")]
+    ]);
   }
 
   // Emit vias as through-hole pads with drill size.
   for (const via of kiFootprint.vias) {
-    output += KI_FOOTPRINT_TEMPLATES.via
-      .replace("{posX}", (via.centerX - kiFootprint.bbox.x).toFixed(2))
-      .replace("{posY}", (via.centerY - kiFootprint.bbox.y).toFixed(2))
-      .replace("{diameter}", via.diameter.toFixed(2))
-      .replace("{size}", (via.radius * 2).toFixed(2));
+    items.push([
+      "pad",
+      str(""),
+      "thru_hole",
+      "circle",
+      [
+        "at",
+        via.centerX - kiFootprint.bbox.x,
+        via.centerY - kiFootprint.bbox.y
+      ],
+      ["size", via.diameter, via.diameter],
+      ["drill", via.radius * 2],
+      ["layers", str("*.Cu"), str("*.Paste"), str("*.Mask")]
+    ]);
   }
 
   // Emit circular graphics.
   for (const circle of kiFootprint.circles) {
     const cx = circle.cx - kiFootprint.bbox.x;
     const cy = circle.cy - kiFootprint.bbox.y;
-    output += KI_FOOTPRINT_TEMPLATES.circle
-      .replace("{cx}", cx.toFixed(2))
-      .replace("{cy}", cy.toFixed(2))
-      .replace("{endX}", (cx + circle.radius).toFixed(2))
-      .replace("{endY}", cy.toFixed(2))
-      .replace("{layers}", KI_LAYERS[circle.layerId] || "F.Fab")
-      .replace("{strokeWidth}", Math.max(circle.strokeWidth, 0.01).toFixed(2));
+    const layer = KI_LAYERS[circle.layerId] || "F.Fab";
+    const pieces = silkClipper
+      ? silkClipper.clipArc(layer, cx, cy, circle.radius, 0, 2 * Math.PI, circle.strokeWidth)
+      : [[0, 2 * Math.PI]];
+    if (pieces.length !== 1 || Math.abs(pieces[0][1]) < 2 * Math.PI - 1e-9) {
+      // Clipped circles become the arcs that remain.
+      for (const [startAngle, sweep] of pieces) {
+        items.push(
+          footprintArc(cx, cy, circle.radius, startAngle, sweep, layer, circle.strokeWidth, format)
+        );
+      }
+      continue;
+    }
+    items.push([
+      "fp_circle",
+      ["center", cx, cy],
+      ["end", cx + circle.radius, cy],
+      ["layer", ...layerAtoms(KI_LAYERS[circle.layerId] || "F.Fab")],
+      footprintStroke(circle.strokeWidth, format)
+    ]);
   }
 
   // Emit arcs by converting SVG arc parameters into KiCad arc parameters.
@@ -1239,11 +2976,12 @@ function exportKiCadFootprint(kiFootprint, model3dPath) {
     const rotated = rotate(fpToKi(svgRx), fpToKi(svgRy), 0);
     const endX = fpToKi(endXRaw) - kiFootprint.bbox.x;
     const endY = fpToKi(endYRaw) - kiFootprint.bbox.y;
-    let extent = 0;
-    let cx = 0;
-    let cy = 0;
-    if (rotated.y !== 0) {
-      const arcInfo = computeArc(
+    const layer = KI_LAYERS[arc.layerId] || "F.Fab";
+    const strokeWidth = fpToKi(arc.strokeWidth);
+    let arcInfo = null;
+    let middle = null;
+    if (rotated.x !== 0 && rotated.y !== 0) {
+      arcInfo = computeArc(
         startX,
         startY,
         rotated.x,
@@ -1254,19 +2992,76 @@ function exportKiCadFootprint(kiFootprint, model3dPath) {
         endX,
         endY
       );
-      cx = arcInfo.cx;
-      cy = arcInfo.cy;
-      extent = arcInfo.angleExtent;
+      middle = getArcMidpoint(
+        arcInfo.cx,
+        arcInfo.cy,
+        startX,
+        startY,
+        endX,
+        endY,
+        sweep === "1"
+      );
+    }
+
+    // An arc without a radius, or whose middle falls on its chord, is not a
+    // valid fp_arc, so the straight segment is drawn instead.
+    const bulge = middle
+      ? (middle.x - startX) * (endY - startY) - (middle.y - startY) * (endX - startX)
+      : 0;
+    if (!Number.isFinite(bulge) || Math.abs(bulge) < 1e-9) {
+      if (Math.hypot(endX - startX, endY - startY) > 1e-9) {
+        pushLine(startX, startY, endX, endY, layer, strokeWidth);
+      }
+      continue;
+    }
+
+    // Silkscreen arcs that pass too close to a pad are split around it.
+    if (silkClipper) {
+      const arcSweep = getArcSweep(
+        arcInfo.cx,
+        arcInfo.cy,
+        startX,
+        startY,
+        endX,
+        endY,
+        sweep === "1"
+      );
+      const pieces = silkClipper.clipArc(
+        layer,
+        arcInfo.cx,
+        arcInfo.cy,
+        arcSweep.radius,
+        arcSweep.startAngle,
+        arcSweep.sweep,
+        strokeWidth
+      );
+      if (pieces.length !== 1 || pieces[0][1] !== arcSweep.sweep) {
+        for (const [pieceStart, pieceSweep] of pieces) {
+          items.push(
+            footprintArc(
+              arcInfo.cx,
+              arcInfo.cy,
+              arcSweep.radius,
+              pieceStart,
+              pieceSweep,
+              layer,
+              strokeWidth,
+              format
+            )
+          );
+        }
+        continue;
+      }
     }
 
-    output += KI_FOOTPRINT_TEMPLATES.arc
-      .replace("{startX}", cx.toFixed(2))
-      .replace("{startY}", cy.toFixed(2))
-      .replace("{endX}", endX.toFixed(2))
-      .replace("{endY}", endY.toFixed(2))
-      .replace("{angle}", extent.toFixed(2))
-      .replace("{layers}", KI_LAYERS[arc.layerId] || "F.Fab")
-      .replace("{strokeWidth}", Math.max(fpToKi(arc.strokeWidth), 0.01).toFixed(2));
+    items.push([
+      "fp_arc",
+      ["start", startX, startY],
+      ["mid", middle.x, middle.y],
+      ["end", endX, endY],
+      ["layer", ...layerAtoms(layer)],
+      footprintStroke(strokeWidth, format)
+    ]);
   }
 
   // Emit text items with proper mirroring and visibility.
@@ -1275,39 +3070,86 @@ function exportKiCadFootprint(kiFootprint, model3dPath) {
     if (text.type === "N") {
       layers = layers.replace(".SilkS", ".Fab");
     }
-    const mirror = layers.startsWith("B") ? " mirror" : "";
-    output += KI_FOOTPRINT_TEMPLATES.text
-      .replace("{text}", text.text)
-      .replace("{posX}", (text.centerX - kiFootprint.bbox.x).toFixed(2))
-      .replace("{posY}", (text.centerY - kiFootprint.bbox.y).toFixed(2))
-      .replace("{orientation}", angleToKi(text.rotation).toFixed(2))
-      .replace("{layers}", layers)
-      .replace("{display}", text.isDisplayed === false ? " hide" : "")
-      .replace("{fontSize}", Math.max(text.fontSize, 1).toFixed(2))
-      .replace("{thickness}", Math.max(text.strokeWidth, 0.01).toFixed(2))
-      .replace("{mirror}", mirror);
+    const justify = ["justify", "left", layers.startsWith("B") && "mirror"];
+    items.push([
+      "fp_text",
+      "user",
+      str(text.text),
+      [
+        "at",
+        text.centerX - kiFootprint.bbox.x,
+        text.centerY - kiFootprint.bbox.y,
+        angleToKi(text.rotation)
+      ],
+      ["layer", ...layerAtoms(layers)],
+      text.isDisplayed === false && "hide",
+      footprintEffects(
+        Math.max(text.fontSize, 1),
+        Math.max(text.strokeWidth, 0.01),
+        [justify]
+      )
+    ]);
+  }
+
+  // Surround the part with a courtyard when requested.
+  if (courtyardClearance !== null && courtyardClearance !== undefined) {
+    items.push(footprintCourtyard(kiFootprint, courtyardClearance, format));
+  }
+
+  // Report shape types the converter does not handle yet.
+  for (const [designator, count] of Object.entries(kiFootprint.unsupported)) {
+    warnings.push(
+      `Footprint: skipped ${count} unsupported ${designator} shape${count === 1 ? "" : "s"}.`
+    );
   }
 
   // Attach 3D model reference if available.
-  if (kiFootprint.model3d && model3dPath) {
-    output += KI_FOOTPRINT_TEMPLATES.model3d
-      .replace("{file3d}", `${model3dPath}/${kiFootprint.model3d.name}.wrl`)
-      .replace("{posX}", kiFootprint.model3d.translation.x.toFixed(3))
-      .replace("{posY}", kiFootprint.model3d.translation.y.toFixed(3))
-      .replace("{posZ}", kiFootprint.model3d.translation.z.toFixed(3))
-      .replace("{rotX}", kiFootprint.model3d.rotation.x.toFixed(0))
-      .replace("{rotY}", kiFootprint.model3d.rotation.y.toFixed(0))
-      .replace("{rotZ}", kiFootprint.model3d.rotation.z.toFixed(0));
+  if (kiFootprint.model3d?.name && model3dPath) {
+    const { translation, rotation } = kiFootprint.model3d;
+    const modelFile = `${safeModelFileName(kiFootprint.model3d.name)}.${model3dFormat}`;
+    items.push([
+      "model",
+      str(`${model3dPath}/${modelFile}`),
+      [
+        "offset",
+        [
+          "xyz",
+          translation.x,
+          translation.y,
+          translation.z
+        ]
+      ],
+      ["scale", ["xyz", 1, 1, 1]],
+      [
+        "rotate",
+        [
+          "xyz",
+          rotation.x.toFixed(0),
+          rotation.y.toFixed(0),
+          rotation.z.toFixed(0)
+        ]
+      ]
+    ]);
   }
 
-  output += ")";
-  return output;
+  return serializeSexpr(
+    [
+      "footprint",
+      str(`${libraryNickname}:${kiFootprint.info.name}`),
+      ["version", format.footprintVersion],
+      ["generator", str(KI_GENERATOR)],
+      ["layer", str("F.Cu")],
+      format.footprintTedit && ["tedit", "5DC5F6A4"],
+      ...items
+    ],
+    { indent: format.indent, decimals }
+  );
 }
 
-// Convert EasyEDA footprint values to millimeters with rounding.
+// Convert EasyEDA footprint values to millimeters. Rounding is left to the
+// writer's output precision.
 function fpToKi(value) {
-  const num = toNumber(value);
-  return Number.isFinite(num) ? Math.round(num * 10 * 0.0254 * 100) / 100 : num;
+  return convertToMm(toNumber(value));
 }
 
 // Convert OBJ + MTL data into a basic VRML file for KiCad.
@@ -1419,33 +3261,136 @@ Shape{
   return rawWrl;
 }
 
+// Values that appear more than once in a list, each reported once.
+function findDuplicates(values) {
+  const seen = new Set();
+  const duplicates = new Set();
+  for (const value of values) {
+    if (seen.has(value)) {
+      duplicates.add(value);
+    }
+    seen.add(value);
+  }
+  return [...duplicates];
+}
+
+// Compare symbol pin numbers with footprint pad numbers and describe every
+// mismatch as a sentence. Unplated holes without a number are not pads a pin
+// could connect to, so they are left out.
+function checkPinsAgainstPads(kiSymbol, kiFootprint) {
+  const pins = kiSymbol.units.flatMap((unit) => unit.pins);
+  const pinNumbers = pins.map((pin) => pin.number).filter(Boolean);
+  const pads = kiFootprint.pads.filter(
+    (pad) => pad.holeRadius <= 0 || pad.isPlated || kiPadNumber(pad)
+  );
+  const padNumbers = pads.map(kiPadNumber);
+  const pinSet = new Set(pinNumbers);
+  const padSet = new Set(padNumbers.filter(Boolean));
+  const issues = [];
+
+  for (const pin of pins) {
+    if (pin.number && !padSet.has(pin.number)) {
+      issues.push(`Symbol pin ${pin.number}${pin.name ? ` (${pin.name})` : ""} has no pad.`);
+    }
+  }
+  for (const number of padSet) {
+    if (!pinSet.has(number)) {
+      issues.push(`Pad ${number} has no symbol pin.`);
+    }
+  }
+  for (const number of findDuplicates(pinNumbers)) {
+    issues.push(`Symbol pin number ${number} is used more than once.`);
+  }
+  for (const number of findDuplicates(padNumbers.filter(Boolean))) {
+    issues.push(`Pad number ${number} is used by more than one pad.`);
+  }
+  const unnumbered = padNumbers.filter((number) => !number).length;
+  if (unnumbered) {
+    issues.push(`${unnumbered} pad${unnumbered === 1 ? " has" : "s have"} no number.`);
+  }
+  return issues;
+}
+
 // Public API: convert EasyEDA CAD data to KiCad symbol/footprint strings.
+// `warnings` lists anything that could not be converted faithfully; when both
+// are exported, `pinCheck` lists pin/pad numbering mismatches.
 export function convertEasyedaCadToKicad(cadData, options = {}) {
-  const result = {};
+  const result = { warnings: [], pinCheck: [] };
+  const format =
+    KI_FORMATS[options.kicadVersion] || KI_FORMATS[DEFAULT_KICAD_VERSION];
+  const footprintLibrary = options.footprintLibrary || DEFAULT_FOOTPRINT_LIBRARY;
+  const eeFootprint = options.footprint ? parseEasyedaFootprint(cadData) : null;
+  // `precision` caps the decimal places; KiCad's own precision is the default.
+  const precision = options.precision > 0 ? Math.round(options.precision) : Infinity;
+  let kiSymbol = null;
+  let kiFootprint = null;
 
   // Build the symbol output if requested.
   if (options.symbol) {
     const eeSymbol = parseEasyedaSymbol(cadData);
-    const kiSymbol = convertSymbolToKiCad(eeSymbol);
+    kiSymbol = convertSymbolToKiCad(eeSymbol, {
+      ellipseTolerance:
+        options.ellipseTolerance > 0 ? options.ellipseTolerance : ARC_FLATTEN_TOLERANCE,
+      pinAlternates: Boolean(options.pinAlternates),
+      pinTypeRules: options.pinTypeRules || null,
+      pinGrid: options.pinGrid > 0 ? options.pinGrid : null
+    });
+    result.warnings.push(...kiSymbol.warnings.map((warning) => `Symbol: ${warning}`));
     result.symbol = {
       name: sanitizeFields(eeSymbol.info.name || "symbol"),
-      content: exportKiCadSymbolLibrary(kiSymbol)
+      content: exportKiCadSymbolLibrary(
+        kiSymbol,
+        format,
+        eeFootprint && { library: footprintLibrary, name: eeFootprint.info.name },
+        Math.min(precision, KI_SYMBOL_DECIMALS)
+      )
     };
   }
 
   // Build the footprint output if requested.
-  if (options.footprint) {
-    const eeFootprint = parseEasyedaFootprint(cadData);
-    const kiFootprint = convertFootprintToKiCad(eeFootprint);
+  if (eeFootprint) {
+    kiFootprint = convertFootprintToKiCad(eeFootprint);
+    anchorFootprint(
+      kiFootprint,
+      FOOTPRINT_ANCHORS.includes(options.footprintAnchor)
+        ? options.footprintAnchor
+        : FOOTPRINT_ANCHORS[0],
+      result.warnings
+    );
     result.footprint = {
-      name: eeFootprint.info.name || "footprint",
-      content: exportKiCadFootprint(kiFootprint, "${KIPRJMOD}")
+      name: eeFootprint.info.name,
+      content: exportKiCadFootprint(kiFootprint, format, {
+        libraryNickname: footprintLibrary,
+        model3dPath: options.model3dPath || DEFAULT_MODEL_3D_PATH,
+        model3dFormat: MODEL_3D_FORMATS.includes(options.model3dFormat)
+          ? options.model3dFormat
+          : MODEL_3D_FORMATS[0],
+        courtyardClearance: Number.isFinite(options.courtyardClearance)
+          ? Math.max(options.courtyardClearance, 0)
+          : null,
+        silkClearance: Number.isFinite(options.silkClearance)
+          ? Math.max(options.silkClearance, 0)
+          : null,
+        decimals: Math.min(precision, KI_FOOTPRINT_DECIMALS)
+      }, result.warnings)
     };
   }
 
+  // Check that every pin lands on a pad before anything is downloaded.
+  if (kiSymbol && kiFootprint) {
+    result.pinCheck = checkPinsAgainstPads(kiSymbol, kiFootprint);
+    result.warnings.push(...result.pinCheck.map((issue) => `Pin check: ${issue}`));
+  }
+
   return result;
 }
 
+// Public API: file name (without extension) used for a downloaded 3D model,
+// so footprint links and saved files always agree.
+export function safeModelFileName(name) {
+  return String(name || "model").replace(/[^\w.-]+/g, "_");
+}
+
 // Public API: convert a raw OBJ string into VRML text.
 export function convertObjToWrlString(objData) {
   return convertObjToWrl(objData);
@@ -0,0 +1,193 @@
+/*
+ * This module edits KiCad library files in place. It parses a .kicad_sym
+ * library into S-expression nodes, then lists, adds, replaces or removes
+ * top-level symbols by splicing the original text, so the header and any
+ * symbols the user already has are kept byte for byte. It also writes the
+ * sym-lib-table/fp-lib-table files that register a library with KiCad.
+ */
+
+import {
+  findChildLists,
+  listKeyword,
+  parseSexpr,
+  quoteString,
+  serializeSexpr,
+  str
+} from "./sexpr.js";
+
+// First library-table format that carries a (version ...) entry (KiCad 7).
+const LIB_TABLE_VERSION = 7;
+
+// Parse a symbol library and return its root (kicad_symbol_lib ...) list.
+function parseLibraryRoot(libraryText) {
+  const root = parseSexpr(libraryText).find(
+    (node) => listKeyword(node) === "kicad_symbol_lib"
+  );
+  if (!root) {
+    throw new Error("Not a KiCad symbol library (missing kicad_symbol_lib).");
+  }
+  return root;
+}
+
+// Whitespace between the start of a line and the given offset.
+function lineIndentAt(text, offset) {
+  const lineStart = text.lastIndexOf("\n", offset - 1) + 1;
+  const prefix = text.slice(lineStart, offset);
+  return /^\s*$/.test(prefix) ? prefix : "";
+}
+
+// Re-indent a block so its continuation lines follow the target indent.
+function reindentBlock(blockText, fromIndent, toIndent) {
+  return blockText
+    .split("\n")
+    .map((line, index) => {
+      if (index === 0) {
+        return line;
+      }
+      const body = line.startsWith(fromIndent)
+        ? line.slice(fromIndent.length)
+        : line.trimStart();
+      return `${toIndent}${body}`;
+    })
+    .join("\n");
+}
+
+// Indent used for top-level entries inside the library root.
+function childIndent(libraryText, root) {
+  const firstChild = root.children.find((child) => child.type === "list");
+  const indent = firstChild ? lineIndentAt(libraryText, firstChild.start) : "";
+  return indent || "  ";
+}
+
+// Public API: list the top-level symbols of a library with their source ranges.
+export function listLibrarySymbols(libraryText) {
+  const root = parseLibraryRoot(libraryText);
+  return findChildLists(root, "symbol").map((node) => {
+    const extendsNode = findChildLists(node, "extends")[0];
+    const properties = {};
+    for (const property of findChildLists(node, "property")) {
+      properties[property.children[1]?.value || ""] = property.children[2]?.value || "";
+    }
+    return {
+      name: node.children[1]?.value || "",
+      extends: extendsNode?.children[1]?.value || null,
+      properties,
+      start: node.start,
+      end: node.end,
+      text: reindentBlock(
+        libraryText.slice(node.start, node.end),
+        lineIndentAt(libraryText, node.start),
+        ""
+      )
+    };
+  });
+}
+
+// Public API: find a top-level symbol by exact name.
+export function findLibrarySymbol(libraryText, name) {
+  return listLibrarySymbols(libraryText).find((symbol) => symbol.name === name) || null;
+}
+
+// Public API: append a symbol block before the library's closing paren.
+export function addLibrarySymbol(libraryText, symbolText) {
+  const root = parseLibraryRoot(libraryText);
+  const indent = childIndent(libraryText, root);
+  const closeIndex = root.end - 1;
+  const before = libraryText.slice(0, closeIndex).trimEnd();
+  const block = reindentBlock(symbolText.trim(), "", indent);
+  return `${before}\n${indent}${block}\n${libraryText.slice(closeIndex)}`;
+}
+
+// Public API: replace an existing symbol with a new block, in place.
+export function replaceLibrarySymbol(libraryText, name, symbolText) {
+  const existing = findLibrarySymbol(libraryText, name);
+  if (!existing) {
+    return addLibrarySymbol(libraryText, symbolText);
+  }
+  const indent = lineIndentAt(libraryText, existing.start);
+  const block = reindentBlock(symbolText.trim(), "", indent);
+  return `${libraryText.slice(0, existing.start)}${block}${libraryText.slice(existing.end)}`;
+}
+
+// Public API: rename a standalone (symbol ...) block, including the unit
+// sub-symbols named "<name>_<unit>_<style>".
+export function renameLibrarySymbol(symbolText, newName) {
+  const [node] = parseSexpr(symbolText);
+  const nameAtom = node?.children[1];
+  if (listKeyword(node) !== "symbol" || !nameAtom) {
+    return symbolText;
+  }
+  const oldName = nameAtom.value;
+  const edits = [{ atom: nameAtom, value: newName }];
+  for (const unit of findChildLists(node, "symbol")) {
+    const unitAtom = unit.children[1];
+    if (unitAtom?.value.startsWith(`${oldName}_`)) {
+      edits.push({
+        atom: unitAtom,
+        value: `${newName}${unitAtom.value.slice(oldName.length)}`
+      });
+    }
+  }
+
+  // Splice from the end so earlier offsets stay valid.
+  let result = symbolText;
+  for (const edit of edits.sort((a, b) => b.atom.start - a.atom.start)) {
+    result = `${result.slice(0, edit.atom.start)}${quoteString(edit.value)}${result.slice(edit.atom.end)}`;
+  }
+  return result;
+}
+
+// Public API: remove a symbol (and the line it sat on) from the library.
+export function removeLibrarySymbol(libraryText, name) {
+  const existing = findLibrarySymbol(libraryText, name);
+  if (!existing) {
+    return libraryText;
+  }
+  const start = existing.start - lineIndentAt(libraryText, existing.start).length;
+  let end = existing.end;
+  if (libraryText[end] === "\n") {
+    end += 1;
+  }
+  return `${libraryText.slice(0, start)}${libraryText.slice(end)}`;
+}
+
+// Public API: build a sym-lib-table or fp-lib-table file. `kind` is "sym" or
+// "fp"; each entry is { name, uri, description }. Entries stay on one line, as
+// KiCad writes them, so they can be pasted into an existing table. KiCad 6
+// does not accept the (version ...) line, so it is only written for KiCad 7+.
+export function buildLibraryTable(kind, entries, kicadVersion) {
+  return serializeSexpr([
+    `${kind}_lib_table`,
+    kicadVersion >= LIB_TABLE_VERSION && ["version", LIB_TABLE_VERSION],
+    ...entries.map((entry) => [
+      "lib",
+      ["name", str(entry.name)],
+      ["type", str("KiCad")],
+      ["uri", str(entry.uri)],
+      ["options", str("")],
+      ["descr", str(entry.description || "")]
+    ])
+  ], { inline: ["lib"] });
+}
+
+// Public API: raise the library (version) stamp when a newer dialect is added.
+export function syncLibraryVersion(libraryText, generatedLibraryText) {
+  const root = parseLibraryRoot(libraryText);
+  const current = findChildLists(root, "version")[0]?.children[1];
+  const target = findChildLists(parseLibraryRoot(generatedLibraryText), "version")[0]
+    ?.children[1];
+  if (!current || !target || Number(target.value) <= Number(current.value)) {
+    return libraryText;
+  }
+  return `${libraryText.slice(0, current.start)}${target.value}${libraryText.slice(current.end)}`;
+}
+/*
+ * This file is part of easyEdaDownloader.
+ *
+ * easyEdaDownloader is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This software is derived from easyeda2kicad.py by uPesy.
+ */
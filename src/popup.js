@@ -19,29 +19,100 @@
 const partNumberEl = document.getElementById("partNumber");
 const downloadButton = document.getElementById("downloadButton");
 const statusEl = document.getElementById("status");
+const warningsEl = document.getElementById("warnings");
 const downloadSymbolEl = document.getElementById("downloadSymbol");
 const downloadFootprintEl = document.getElementById("downloadFootprint");
 const downloadModelEl = document.getElementById("downloadModel");
 const downloadIndividuallyEl = document.getElementById("downloadIndividually");
+const kicadVersionEl = document.getElementById("kicadVersion");
+const symbolConflictEl = document.getElementById("symbolConflict");
+const libraryProfileEl = document.getElementById("libraryProfile");
+const addProfileButton = document.getElementById("addProfile");
+const deleteProfileButton = document.getElementById("deleteProfile");
+const profileNameEl = document.getElementById("profileName");
+const profileDirectoryEl = document.getElementById("profileDirectory");
+const profileSymbolLibraryEl = document.getElementById("profileSymbolLibrary");
+const profileFootprintLibraryEl = document.getElementById("profileFootprintLibrary");
+const profileModelPathVariableEl = document.getElementById("profileModelPathVariable");
+const modelFormatEl = document.getElementById("modelFormat");
+const generateCourtyardEl = document.getElementById("generateCourtyard");
+const courtyardClearanceEl = document.getElementById("courtyardClearance");
+const clipSilkscreenEl = document.getElementById("clipSilkscreen");
+const silkClearanceEl = document.getElementById("silkClearance");
+const ellipseToleranceEl = document.getElementById("ellipseTolerance");
+const pinAlternatesEl = document.getElementById("pinAlternates");
+const inferPinTypesEl = document.getElementById("inferPinTypes");
+const pinTypeRulesEl = document.getElementById("pinTypeRules");
+const pinGridEl = document.getElementById("pinGrid");
+const outputPrecisionEl = document.getElementById("outputPrecision");
+const footprintAnchorEl = document.getElementById("footprintAnchor");
+const conflictPromptEl = document.getElementById("conflictPrompt");
+const conflictMessageEl = document.getElementById("conflictMessage");
 const symbolPreviewEl = document.getElementById("symbolPreview");
 const footprintPreviewEl = document.getElementById("footprintPreview");
 const symbolPreviewFallbackEl = document.getElementById("symbolPreviewFallback");
 const footprintPreviewFallbackEl = document.getElementById("footprintPreviewFallback");
 
+// Library profile used until the user creates their own.
+const DEFAULT_LIBRARY_PROFILE = {
+  id: "default",
+  name: "Default",
+  directory: "easyEDADownloader",
+  symbolLibrary: "easyEDADownloader",
+  footprintLibrary: "easyEDADownloader",
+  modelPathVariable: "KIPRJMOD"
+};
+
 // Default settings for download organization.
 const DEFAULT_SETTINGS = {
-  downloadIndividually: false
+  downloadIndividually: false,
+  kicadVersion: 6,
+  symbolConflict: "skip",
+  modelFormat: "wrl",
+  generateCourtyard: false,
+  courtyardClearance: 0.25,
+  clipSilkscreen: false,
+  silkClearance: 0.2,
+  ellipseTolerance: 0.01,
+  pinAlternates: false,
+  inferPinTypes: false,
+  // Empty means the converter's built-in rules (see defaultPinTypeRules).
+  pinTypeRules: "",
+  pinGrid: 0,
+  outputPrecision: 0,
+  footprintAnchor: "easyeda",
+  libraryProfiles: [DEFAULT_LIBRARY_PROFILE],
+  activeProfileId: DEFAULT_LIBRARY_PROFILE.id
 };
 
 // Store the most recently detected LCSC id.
 let currentLcscId = null;
 
+// Built-in pin type rules, fetched from the service worker so the converter
+// stays their only source.
+let defaultPinTypeRules = "";
+
+// Library profiles being edited; saved together with the other settings.
+let libraryProfiles = [{ ...DEFAULT_LIBRARY_PROFILE }];
+
 // Show a status message and optionally mark it as an error.
 function setStatus(message, isError = false) {
   statusEl.textContent = message;
   statusEl.classList.toggle("error", isError);
 }
 
+// List conversion warnings under the status line, or hide the list.
+function setWarnings(warnings = []) {
+  warningsEl.replaceChildren(
+    ...warnings.map((warning) => {
+      const item = document.createElement("li");
+      item.textContent = warning;
+      return item;
+    })
+  );
+  warningsEl.classList.toggle("hidden", !warnings.length);
+}
+
 // Determine if the user selected any download option.
 function hasSelection() {
   return (
@@ -87,6 +158,19 @@ function setPreviewImage(fallbackEl, imgEl, url) {
   imgEl.src = url;
 }
 
+// Show the built-in pin type rules while the user has not edited them.
+function requestDefaultPinTypeRules() {
+  chrome.runtime.sendMessage({ type: "GET_DEFAULT_PIN_TYPE_RULES" }, (response) => {
+    if (chrome.runtime.lastError || !response?.ok) {
+      return;
+    }
+    defaultPinTypeRules = response.pinTypeRules;
+    if (!pinTypeRulesEl.value.trim()) {
+      pinTypeRulesEl.value = defaultPinTypeRules;
+    }
+  });
+}
+
 function requestPreviews(lcscId) {
   setPreviewLoading(symbolPreviewFallbackEl, symbolPreviewEl);
   setPreviewLoading(footprintPreviewFallbackEl, footprintPreviewEl);
@@ -116,18 +200,135 @@ function requestPreviews(lcscId) {
   );
 }
 
+// The profile currently chosen in the library dropdown.
+function getActiveProfile() {
+  return (
+    libraryProfiles.find((profile) => profile.id === libraryProfileEl.value) ||
+    libraryProfiles[0]
+  );
+}
+
+// Rebuild the profile dropdown and show the active profile's fields.
+function renderProfiles(activeProfileId) {
+  libraryProfileEl.replaceChildren(
+    ...libraryProfiles.map((profile) => new Option(profile.name, profile.id))
+  );
+  libraryProfileEl.value = libraryProfiles.some(
+    (profile) => profile.id === activeProfileId
+  )
+    ? activeProfileId
+    : libraryProfiles[0].id;
+
+  const profile = getActiveProfile();
+  profileNameEl.value = profile.name;
+  profileDirectoryEl.value = profile.directory;
+  profileSymbolLibraryEl.value = profile.symbolLibrary;
+  profileFootprintLibraryEl.value = profile.footprintLibrary;
+  profileModelPathVariableEl.value =
+    profile.modelPathVariable || DEFAULT_LIBRARY_PROFILE.modelPathVariable;
+  deleteProfileButton.disabled = libraryProfiles.length < 2;
+}
+
+// Copy the edited fields back into the active profile.
+function readProfileFromUi() {
+  const profile = getActiveProfile();
+  profile.name = profileNameEl.value.trim() || profile.name;
+  profile.directory = profileDirectoryEl.value.trim() || profile.directory;
+  profile.symbolLibrary = profileSymbolLibraryEl.value.trim() || profile.symbolLibrary;
+  profile.footprintLibrary =
+    profileFootprintLibraryEl.value.trim() || profile.footprintLibrary;
+  profile.modelPathVariable =
+    profileModelPathVariableEl.value.trim() || DEFAULT_LIBRARY_PROFILE.modelPathVariable;
+}
+
 // Apply settings values to the UI controls.
 function applySettingsToUi(settings) {
   downloadIndividuallyEl.checked =
     typeof settings.downloadIndividually === "boolean"
       ? settings.downloadIndividually
       : DEFAULT_SETTINGS.downloadIndividually;
+  kicadVersionEl.value = String(
+    settings.kicadVersion || DEFAULT_SETTINGS.kicadVersion
+  );
+  symbolConflictEl.value =
+    settings.symbolConflict || DEFAULT_SETTINGS.symbolConflict;
+  modelFormatEl.value = settings.modelFormat || DEFAULT_SETTINGS.modelFormat;
+  generateCourtyardEl.checked =
+    typeof settings.generateCourtyard === "boolean"
+      ? settings.generateCourtyard
+      : DEFAULT_SETTINGS.generateCourtyard;
+  courtyardClearanceEl.value = String(
+    settings.courtyardClearance ?? DEFAULT_SETTINGS.courtyardClearance
+  );
+  courtyardClearanceEl.disabled = !generateCourtyardEl.checked;
+  clipSilkscreenEl.checked =
+    typeof settings.clipSilkscreen === "boolean"
+      ? settings.clipSilkscreen
+      : DEFAULT_SETTINGS.clipSilkscreen;
+  silkClearanceEl.value = String(
+    settings.silkClearance ?? DEFAULT_SETTINGS.silkClearance
+  );
+  silkClearanceEl.disabled = !clipSilkscreenEl.checked;
+  ellipseToleranceEl.value = String(
+    settings.ellipseTolerance ?? DEFAULT_SETTINGS.ellipseTolerance
+  );
+  pinAlternatesEl.checked =
+    typeof settings.pinAlternates === "boolean"
+      ? settings.pinAlternates
+      : DEFAULT_SETTINGS.pinAlternates;
+  inferPinTypesEl.checked =
+    typeof settings.inferPinTypes === "boolean"
+      ? settings.inferPinTypes
+      : DEFAULT_SETTINGS.inferPinTypes;
+  pinTypeRulesEl.value = settings.pinTypeRules || defaultPinTypeRules;
+  if (!settings.pinTypeRules && !defaultPinTypeRules) {
+    requestDefaultPinTypeRules();
+  }
+  pinTypeRulesEl.disabled = !inferPinTypesEl.checked;
+  pinGridEl.value = String(settings.pinGrid ?? DEFAULT_SETTINGS.pinGrid);
+  outputPrecisionEl.value = String(
+    settings.outputPrecision ?? DEFAULT_SETTINGS.outputPrecision
+  );
+  footprintAnchorEl.value = settings.footprintAnchor || DEFAULT_SETTINGS.footprintAnchor;
+  libraryProfiles =
+    Array.isArray(settings.libraryProfiles) && settings.libraryProfiles.length
+      ? settings.libraryProfiles.map((profile) => ({ ...profile }))
+      : [{ ...DEFAULT_LIBRARY_PROFILE }];
+  renderProfiles(settings.activeProfileId);
 }
 
 // Read settings from the UI and normalize them.
 function readSettingsFromUi() {
   return {
-    downloadIndividually: Boolean(downloadIndividuallyEl.checked)
+    downloadIndividually: Boolean(downloadIndividuallyEl.checked),
+    kicadVersion: Number(kicadVersionEl.value) || DEFAULT_SETTINGS.kicadVersion,
+    symbolConflict: symbolConflictEl.value || DEFAULT_SETTINGS.symbolConflict,
+    modelFormat: modelFormatEl.value || DEFAULT_SETTINGS.modelFormat,
+    generateCourtyard: Boolean(generateCourtyardEl.checked),
+    courtyardClearance:
+      courtyardClearanceEl.value !== "" && Number(courtyardClearanceEl.value) >= 0
+        ? Number(courtyardClearanceEl.value)
+        : DEFAULT_SETTINGS.courtyardClearance,
+    clipSilkscreen: Boolean(clipSilkscreenEl.checked),
+    silkClearance:
+      silkClearanceEl.value !== "" && Number(silkClearanceEl.value) >= 0
+        ? Number(silkClearanceEl.value)
+        : DEFAULT_SETTINGS.silkClearance,
+    ellipseTolerance:
+      Number(ellipseToleranceEl.value) > 0
+        ? Number(ellipseToleranceEl.value)
+        : DEFAULT_SETTINGS.ellipseTolerance,
+    pinAlternates: Boolean(pinAlternatesEl.checked),
+    inferPinTypes: Boolean(inferPinTypesEl.checked),
+    pinTypeRules:
+      pinTypeRulesEl.value.trim() && pinTypeRulesEl.value !== defaultPinTypeRules
+        ? pinTypeRulesEl.value
+        : DEFAULT_SETTINGS.pinTypeRules,
+    pinGrid: Number(pinGridEl.value) || 0,
+    outputPrecision: Number(outputPrecisionEl.value) || 0,
+    footprintAnchor: footprintAnchorEl.value || DEFAULT_SETTINGS.footprintAnchor,
+    libraryProfiles,
+    activeProfileId: getActiveProfile().id
   };
 }
 
@@ -204,19 +405,128 @@ downloadSymbolEl.addEventListener("change", updateDownloadEnabled);
 downloadFootprintEl.addEventListener("change", updateDownloadEnabled);
 downloadModelEl.addEventListener("change", updateDownloadEnabled);
 downloadIndividuallyEl.addEventListener("change", saveSettings);
+kicadVersionEl.addEventListener("change", saveSettings);
+symbolConflictEl.addEventListener("change", saveSettings);
+modelFormatEl.addEventListener("change", saveSettings);
+courtyardClearanceEl.addEventListener("change", saveSettings);
+generateCourtyardEl.addEventListener("change", () => {
+  courtyardClearanceEl.disabled = !generateCourtyardEl.checked;
+  saveSettings();
+});
+silkClearanceEl.addEventListener("change", saveSettings);
+clipSilkscreenEl.addEventListener("change", () => {
+  silkClearanceEl.disabled = !clipSilkscreenEl.checked;
+  saveSettings();
+});
+ellipseToleranceEl.addEventListener("change", saveSettings);
+pinAlternatesEl.addEventListener("change", saveSettings);
+pinTypeRulesEl.addEventListener("change", saveSettings);
+pinGridEl.addEventListener("change", saveSettings);
+outputPrecisionEl.addEventListener("change", saveSettings);
+footprintAnchorEl.addEventListener("change", saveSettings);
+inferPinTypesEl.addEventListener("change", () => {
+  pinTypeRulesEl.disabled = !inferPinTypesEl.checked;
+  saveSettings();
+});
 
-// When clicked, validate selections and ask the background worker to export.
-downloadButton.addEventListener("click", () => {
-  if (!currentLcscId) {
+// Switching profiles shows that profile's fields and makes it active.
+libraryProfileEl.addEventListener("change", () => {
+  renderProfiles(libraryProfileEl.value);
+  saveSettings();
+});
+
+// Edited profile fields are saved as soon as a field is left.
+[
+  profileNameEl,
+  profileDirectoryEl,
+  profileSymbolLibraryEl,
+  profileFootprintLibraryEl,
+  profileModelPathVariableEl
+].forEach((fieldEl) => {
+  fieldEl.addEventListener("change", () => {
+    readProfileFromUi();
+    const profile = getActiveProfile();
+    // Save the profile as the service worker will use it, not as typed.
+    chrome.runtime.sendMessage(
+      { type: "NORMALIZE_PROFILE", profile, index: libraryProfiles.indexOf(profile) },
+      (response) => {
+        if (!chrome.runtime.lastError && response?.ok) {
+          Object.assign(profile, response.profile);
+        }
+        renderProfiles(profile.id);
+        saveSettings();
+      }
+    );
+  });
+});
+
+// Create a new profile and select it for editing.
+addProfileButton.addEventListener("click", () => {
+  const id = `profile-${Date.now()}`;
+  const name = `Library ${libraryProfiles.length + 1}`;
+  const directory = name.replace(/\s+/g, "");
+  libraryProfiles.push({
+    id,
+    name,
+    directory,
+    symbolLibrary: directory,
+    footprintLibrary: directory,
+    modelPathVariable: DEFAULT_LIBRARY_PROFILE.modelPathVariable
+  });
+  renderProfiles(id);
+  saveSettings();
+  profileNameEl.focus();
+});
+
+// Remove the active profile; the last remaining profile cannot be deleted.
+deleteProfileButton.addEventListener("click", () => {
+  if (libraryProfiles.length < 2) {
     return;
   }
+  const removed = getActiveProfile();
+  libraryProfiles = libraryProfiles.filter((profile) => profile.id !== removed.id);
+  renderProfiles(libraryProfiles[0].id);
+  saveSettings();
+  chrome.runtime.sendMessage(
+    { type: "REMOVE_PROFILE_LIBRARIES", profile: removed, remainingProfiles: libraryProfiles },
+    () => {
+      if (chrome.runtime.lastError) {
+        console.warn("Failed to remove profile libraries:", chrome.runtime.lastError);
+      }
+    }
+  );
+});
 
-  if (!hasSelection()) {
-    setStatus("Select at least one download option.", true);
-    return;
+// Describe what happened to the symbol in the stored library.
+function describeSymbolAction(response) {
+  const name = response?.symbolName;
+  switch (response?.symbolAction) {
+    case "added":
+      return `Symbol ${name} added to the library.`;
+    case "replaced":
+      return `Symbol ${name} replaced in the library.`;
+    case "renamed":
+      return `Symbol saved as ${name} (name already in use).`;
+    case "skipped":
+      return `Symbol ${name} already in the library; skipped.`;
+    default:
+      return "";
   }
+}
 
+// Show or hide the "symbol already exists" prompt.
+function setConflictPrompt(symbolName) {
+  conflictPromptEl.classList.toggle("hidden", !symbolName);
+  conflictMessageEl.textContent = symbolName
+    ? `${symbolName} is already in the library.`
+    : "";
+}
+
+// Ask the background worker to export, optionally overriding the conflict policy.
+function startExport(symbolConflict) {
   downloadButton.disabled = true;
+  setConflictPrompt(null);
+  setWarnings();
   setStatus("Starting download...");
 
   // Send request to service worker with chosen export options.
@@ -228,7 +538,8 @@ downloadButton.addEventListener("click", () => {
         symbol: downloadSymbolEl.checked,
         footprint: downloadFootprintEl.checked,
         model3d: downloadModelEl.checked,
-        downloadIndividually: downloadIndividuallyEl.checked
+        downloadIndividually: downloadIndividuallyEl.checked,
+        symbolConflict
       }
     },
     (response) => {
@@ -237,11 +548,37 @@ downloadButton.addEventListener("click", () => {
         setStatus("Download failed. Check the console.", true);
         return;
       }
-      if (response?.ok) {
-        setStatus("Download started.");
+      if (response?.ok && response.conflict) {
+        setStatus("Choose what to do with the existing symbol.");
+        setConflictPrompt(response.symbolName);
+      } else if (response?.ok) {
+        setStatus(`Download started. ${describeSymbolAction(response)}`.trim());
+        setWarnings(response.warnings);
       } else {
         setStatus(response?.error || "Download failed.", true);
       }
     }
   );
+}
+
+// When clicked, validate selections and ask the background worker to export.
+downloadButton.addEventListener("click", () => {
+  if (!currentLcscId) {
+    return;
+  }
+
+  if (!hasSelection()) {
+    setStatus("Select at least one download option.", true);
+    return;
+  }
+
+  startExport();
+});
+
+// Re-run the export with the choice made in the conflict prompt.
+conflictPromptEl.addEventListener("click", (event) => {
+  const choice = event.target?.dataset?.choice;
+  if (choice && currentLcscId) {
+    startExport(choice);
+  }
 });
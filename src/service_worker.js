@@ -4,7 +4,21 @@
  * KiCad-friendly files, and triggers downloads (symbol, footprint, and 3D).
  */
 
-import { convertEasyedaCadToKicad, convertObjToWrlString } from "./kicad_converter.js";
+import {
+  DEFAULT_PIN_TYPE_RULES,
+  convertEasyedaCadToKicad,
+  convertObjToWrlString,
+  safeModelFileName
+} from "./kicad_converter.js";
+import {
+  addLibrarySymbol,
+  buildLibraryTable,
+  findLibrarySymbol,
+  listLibrarySymbols,
+  renameLibrarySymbol,
+  replaceLibrarySymbol,
+  syncLibraryVersion
+} from "./kicad_library.js";
 
 // Ask the active tab's content script for the LCSC part number.
 async function getLcscIdFromTab(tabId) {
@@ -18,12 +32,105 @@ const ENDPOINT_3D_MODEL_OBJ = "https://modules.easyeda.com/3dmodel/{uuid}";
 const ENDPOINT_3D_MODEL_STEP =
   "https://modules.easyeda.com/qAxj6KHrDKw4blvCG8QJPs7Y/{uuid}";
 
+const DEFAULT_LIBRARY_DIR = "easyEDADownloader";
+
+// Library profile used until the user creates their own. Each profile names
+// the folder under Downloads, the .kicad_sym file name and the footprint
+// library nickname (also the .pretty/.3dshapes folder name). Footprint 3D
+// model links start with ${modelPathVariable}, which KiCad resolves to the
+// profile folder.
+const DEFAULT_LIBRARY_PROFILE = {
+  id: "default",
+  name: "Default",
+  directory: DEFAULT_LIBRARY_DIR,
+  symbolLibrary: DEFAULT_LIBRARY_DIR,
+  footprintLibrary: DEFAULT_LIBRARY_DIR,
+  modelPathVariable: "KIPRJMOD"
+};
+
 // Default settings for download behavior.
 const DEFAULT_SETTINGS = {
-  downloadIndividually: false
+  downloadIndividually: false,
+  kicadVersion: 6,
+  symbolConflict: "skip",
+  modelFormat: "wrl",
+  generateCourtyard: false,
+  courtyardClearance: 0.25,
+  clipSilkscreen: false,
+  silkClearance: 0.2,
+  ellipseTolerance: 0.01,
+  pinAlternates: false,
+  inferPinTypes: false,
+  pinTypeRules: DEFAULT_PIN_TYPE_RULES,
+  pinGrid: 0,
+  outputPrecision: 0,
+  footprintAnchor: "easyeda",
+  libraryProfiles: [DEFAULT_LIBRARY_PROFILE],
+  activeProfileId: DEFAULT_LIBRARY_PROFILE.id
 };
 
-const DEFAULT_LIBRARY_DIR = "easyEDADownloader";
+// Pin grids (mm) symbols can be snapped to; 0 leaves pins where EasyEDA put them.
+const PIN_GRIDS = [0, 1.27, 2.54];
+
+// Where footprint origins can be placed.
+const FOOTPRINT_ANCHORS = ["easyeda", "pads", "body", "pin1"];
+
+// Decimal places numbers can be rounded to; 0 keeps KiCad's own precision.
+const OUTPUT_PRECISIONS = [0, 2, 3, 4, 5, 6];
+
+// KiCad major versions whose file formats the converter can write.
+const SUPPORTED_KICAD_VERSIONS = [6, 7, 8];
+
+// What to do when the library already has a symbol with the same name.
+const SYMBOL_CONFLICT_POLICIES = ["skip", "replace", "rename", "ask"];
+
+// 3D model files a footprint can link to (both are always downloaded).
+const MODEL_FORMATS = ["wrl", "step"];
+
+// Make a single file/folder name safe for chrome.downloads.
+function sanitizePathSegment(value) {
+  return String(value || "")
+    .trim()
+    .replace(/[<>:"|?*\\/\u0000-\u001f]+/g, "_")
+    .replace(/^\.+$/, "_");
+}
+
+// Make a relative directory path safe: no absolute paths or ".." segments.
+function sanitizeDirectory(value) {
+  return String(value || "")
+    .split(/[\\/]+/)
+    .filter((segment) => segment.trim() && !/^\.+$/.test(segment.trim()))
+    .map(sanitizePathSegment)
+    .join("/");
+}
+
+// Fill in missing or unsafe profile fields, deriving names from the folder.
+function normalizeLibraryProfile(profile, index) {
+  const directory = sanitizeDirectory(profile?.directory) || DEFAULT_LIBRARY_DIR;
+  return {
+    id: String(profile?.id || `profile-${index}`),
+    name: String(profile?.name || "").trim() || `Library ${index + 1}`,
+    directory,
+    symbolLibrary:
+      sanitizePathSegment(profile?.symbolLibrary) ||
+      sanitizePathSegment(directory.split("/").pop()),
+    footprintLibrary:
+      sanitizePathSegment(profile?.footprintLibrary) ||
+      sanitizePathSegment(directory.split("/").pop()),
+    modelPathVariable:
+      String(profile?.modelPathVariable || "")
+        .replace(/^\$\{|\}$/g, "")
+        .replace(/[^\w]/g, "") || DEFAULT_LIBRARY_PROFILE.modelPathVariable
+  };
+}
+
+// Pick the active library profile, falling back to the first one.
+function getActiveProfile(settings) {
+  return (
+    settings.libraryProfiles.find((profile) => profile.id === settings.activeProfileId) ||
+    settings.libraryProfiles[0]
+  );
+}
 
 // Load user settings from extension storage.
 async function loadSettings() {
@@ -34,25 +141,203 @@ async function loadSettings() {
         resolve({ ...DEFAULT_SETTINGS });
         return;
       }
+      const kicadVersion = Number(settings.kicadVersion);
+      const courtyardClearance = Number(settings.courtyardClearance);
+      const silkClearance = Number(settings.silkClearance);
+      const ellipseTolerance = Number(settings.ellipseTolerance);
+      const libraryProfiles = Array.isArray(settings.libraryProfiles)
+        ? settings.libraryProfiles.map(normalizeLibraryProfile)
+        : [];
       resolve({
         downloadIndividually:
           typeof settings.downloadIndividually === "boolean"
             ? settings.downloadIndividually
-            : DEFAULT_SETTINGS.downloadIndividually
+            : DEFAULT_SETTINGS.downloadIndividually,
+        kicadVersion: SUPPORTED_KICAD_VERSIONS.includes(kicadVersion)
+          ? kicadVersion
+          : DEFAULT_SETTINGS.kicadVersion,
+        symbolConflict: SYMBOL_CONFLICT_POLICIES.includes(settings.symbolConflict)
+          ? settings.symbolConflict
+          : DEFAULT_SETTINGS.symbolConflict,
+        modelFormat: MODEL_FORMATS.includes(settings.modelFormat)
+          ? settings.modelFormat
+          : DEFAULT_SETTINGS.modelFormat,
+        generateCourtyard:
+          typeof settings.generateCourtyard === "boolean"
+            ? settings.generateCourtyard
+            : DEFAULT_SETTINGS.generateCourtyard,
+        courtyardClearance:
+          Number.isFinite(courtyardClearance) && courtyardClearance >= 0
+            ? courtyardClearance
+            : DEFAULT_SETTINGS.courtyardClearance,
+        clipSilkscreen:
+          typeof settings.clipSilkscreen === "boolean"
+            ? settings.clipSilkscreen
+            : DEFAULT_SETTINGS.clipSilkscreen,
+        silkClearance:
+          Number.isFinite(silkClearance) && silkClearance >= 0
+            ? silkClearance
+            : DEFAULT_SETTINGS.silkClearance,
+        ellipseTolerance:
+          Number.isFinite(ellipseTolerance) && ellipseTolerance > 0
+            ? ellipseTolerance
+            : DEFAULT_SETTINGS.ellipseTolerance,
+        pinAlternates:
+          typeof settings.pinAlternates === "boolean"
+            ? settings.pinAlternates
+            : DEFAULT_SETTINGS.pinAlternates,
+        inferPinTypes:
+          typeof settings.inferPinTypes === "boolean"
+            ? settings.inferPinTypes
+            : DEFAULT_SETTINGS.inferPinTypes,
+        pinTypeRules:
+          typeof settings.pinTypeRules === "string" && settings.pinTypeRules.trim()
+            ? settings.pinTypeRules
+            : DEFAULT_SETTINGS.pinTypeRules,
+        pinGrid: PIN_GRIDS.includes(Number(settings.pinGrid))
+          ? Number(settings.pinGrid)
+          : DEFAULT_SETTINGS.pinGrid,
+        outputPrecision: OUTPUT_PRECISIONS.includes(Number(settings.outputPrecision))
+          ? Number(settings.outputPrecision)
+          : DEFAULT_SETTINGS.outputPrecision,
+        footprintAnchor: FOOTPRINT_ANCHORS.includes(settings.footprintAnchor)
+          ? settings.footprintAnchor
+          : DEFAULT_SETTINGS.footprintAnchor,
+        libraryProfiles: libraryProfiles.length
+          ? libraryProfiles
+          : DEFAULT_SETTINGS.libraryProfiles,
+        activeProfileId: String(settings.activeProfileId || "")
       });
     });
   });
 }
 
-// Build KiCad library paths relative to the user's Downloads directory.
-function buildLibraryPaths() {
+// Build KiCad library paths for a profile, relative to the user's Downloads
+// directory. `modelLink` is the same model folder as KiCad sees it through
+// the profile's path variable; loose files sit directly under the variable.
+function buildLibraryPaths(profile, individually = false) {
+  const { directory, symbolLibrary, footprintLibrary, modelPathVariable } = profile;
+  const variable = `\${${modelPathVariable}}`;
+  return {
+    symbolFile: `${directory}/${symbolLibrary}.kicad_sym`,
+    footprintDir: `${directory}/${footprintLibrary}.pretty`,
+    modelDir: `${directory}/${footprintLibrary}.3dshapes`,
+    modelLink: individually ? variable : `${variable}/${footprintLibrary}.3dshapes`,
+    symbolTableFile: `${directory}/sym-lib-table`,
+    footprintTableFile: `${directory}/fp-lib-table`,
+    readmeFile: `${directory}/README.txt`,
+    symbolUri: `${variable}/${symbolLibrary}.kicad_sym`,
+    footprintUri: `${variable}/${footprintLibrary}.pretty`
+  };
+}
+
+// Storage key of a profile's stored symbol library. Keyed by file path so
+// every profile keeps its own library.
+function symbolLibraryStorageKey(profile) {
+  return `symbolLibrary:${buildLibraryPaths(profile).symbolFile}`;
+}
+
+// Forget the stored symbol library (and its backup) of a deleted profile,
+// unless a remaining profile writes to the same library file.
+async function removeProfileLibraries(profile, remainingProfiles) {
+  const key = symbolLibraryStorageKey(normalizeLibraryProfile(profile, 0));
+  const shared = (remainingProfiles || []).some(
+    (other, index) => symbolLibraryStorageKey(normalizeLibraryProfile(other, index)) === key
+  );
+  if (!shared) {
+    await removeStoredText([key, `${key}:backup`]);
+  }
+}
+
+// Build the sym-lib-table, fp-lib-table and README that register a profile's
+// libraries with KiCad.
+function buildLibrarySetupFiles(profile, libraryPaths, kicadVersion) {
+  const description = `easy EDA downloader (${profile.name})`;
+  const variable = profile.modelPathVariable;
+  const variableNote =
+    variable === "KIPRJMOD"
+      ? [
+          "The paths use ${KIPRJMOD}, KiCad's project folder. Copy the contents",
+          "of this folder into your KiCad project folder, or change the profile's",
+          "path variable in the extension popup to share one library between",
+          "projects."
+        ]
+      : [
+          `The paths use \${${variable}}. In KiCad open Preferences > Configure`,
+          `Paths and add ${variable} pointing at this folder.`
+        ];
+  const readme = [
+    `KiCad library "${profile.name}" written by easy EDA downloader.`,
+    "",
+    `Symbols:     ${profile.symbolLibrary}.kicad_sym`,
+    `Footprints:  ${profile.footprintLibrary}.pretty`,
+    `3D models:   ${profile.footprintLibrary}.3dshapes`,
+    "",
+    ...variableNote,
+    "",
+    "To register the libraries, either copy sym-lib-table and fp-lib-table",
+    "into a project folder that has no tables yet, or copy their (lib ...)",
+    "entries into your existing global or project tables (Preferences >",
+    "Manage Symbol Libraries / Manage Footprint Libraries).",
+    ""
+  ].join("\n");
+
   return {
-    symbolFile: `${DEFAULT_LIBRARY_DIR}/${DEFAULT_LIBRARY_DIR}.kicad_sym`,
-    footprintDir: `${DEFAULT_LIBRARY_DIR}/${DEFAULT_LIBRARY_DIR}.pretty`,
-    modelDir: `${DEFAULT_LIBRARY_DIR}/${DEFAULT_LIBRARY_DIR}.3dshapes`
+    symbolTable: buildLibraryTable(
+      "sym",
+      [{ name: profile.symbolLibrary, uri: libraryPaths.symbolUri, description }],
+      kicadVersion
+    ),
+    footprintTable: buildLibraryTable(
+      "fp",
+      [{ name: profile.footprintLibrary, uri: libraryPaths.footprintUri, description }],
+      kicadVersion
+    ),
+    readme
   };
 }
 
+// Build the text of a pin/pad check report.
+function buildPinCheckReport(lcscId, kicadFiles) {
+  return [
+    `Pin/pad check for ${lcscId}`,
+    `Symbol:    ${kicadFiles.symbol?.name || "-"}`,
+    `Footprint: ${kicadFiles.footprint?.name || "-"}`,
+    "",
+    ...kicadFiles.pinCheck.map((issue) => `- ${issue}`),
+    ""
+  ].join("\n");
+}
+
+// Setup files written since the service worker started, by profile folder.
+// Kept in memory only: the extension cannot see the disk, so each session
+// writes the files again in case they were edited or deleted.
+const writtenLibrarySetups = new Map();
+
+// Write the library setup files next to the library the first time a profile
+// is used in this session, and again whenever their content changes.
+async function writeLibrarySetupFiles(profile, libraryPaths, kicadVersion) {
+  const files = buildLibrarySetupFiles(profile, libraryPaths, kicadVersion);
+  const fingerprint = JSON.stringify(files);
+  if (writtenLibrarySetups.get(profile.directory) === fingerprint) {
+    return;
+  }
+  await downloadTextFile(
+    libraryPaths.symbolTableFile,
+    files.symbolTable,
+    "application/octet-stream",
+    "overwrite"
+  );
+  await downloadTextFile(
+    libraryPaths.footprintTableFile,
+    files.footprintTable,
+    "application/octet-stream",
+    "overwrite"
+  );
+  await downloadTextFile(libraryPaths.readmeFile, files.readme, "text/plain", "overwrite");
+  writtenLibrarySetups.set(profile.directory, fingerprint);
+}
+
 const activeDownloadUrls = new Map();
 const canUseBlobUrl =
   typeof URL !== "undefined" &&
@@ -201,7 +486,7 @@ function buildSvgDocument(viewBox, body, options = {}) {
 }
 
 function buildSymbolPreviewSvg(cadData) {
-  const dataStr = cadData?.dataStr;
+  const dataStr = cadData?.dataStr || cadData?.subparts?.[0]?.dataStr;
   if (!dataStr) {
     return null;
   }
@@ -348,46 +633,61 @@ function buildFootprintPreviewSvg(cadData) {
   return buildSvgDocument(viewBox, svgParts.join("\n"), { background: "#f8fafc" });
 }
 
-// Extract the symbol block from a full KiCad symbol library file.
-function extractSymbolBlock(kicadLibraryText) {
-  const start = kicadLibraryText.indexOf("(symbol \"");
-  if (start === -1) {
-    return null;
+// Merge the generated symbol into the stored library following the conflict
+// policy. Returns the new library text plus what happened to the symbol, or
+// `conflict: true` when the policy is "ask" and the user has to choose.
+function mergeSymbolIntoLibrary(existingLibrary, generatedLibrary, policy, lcscId) {
+  const [symbol] = listLibrarySymbols(generatedLibrary);
+  if (!symbol) {
+    return { library: existingLibrary || generatedLibrary, action: "skipped", name: "" };
   }
-  const end = kicadLibraryText.lastIndexOf("\n)");
-  if (end === -1 || end <= start) {
-    return null;
+  if (!existingLibrary) {
+    return { library: generatedLibrary, action: "added", name: symbol.name };
   }
-  return kicadLibraryText.slice(start, end).trim();
-}
 
-// Append a symbol block to an existing library, preserving the header/footer.
-function mergeSymbolIntoLibrary(existingLibrary, symbolBlock, symbolId) {
-  if (!symbolBlock) {
-    return existingLibrary;
+  const library = syncLibraryVersion(existingLibrary, generatedLibrary);
+  const existing = findLibrarySymbol(library, symbol.name);
+  if (!existing) {
+    return {
+      library: addLibrarySymbol(library, symbol.text),
+      action: "added",
+      name: symbol.name
+    };
   }
-  if (!existingLibrary) {
-    return `(kicad_symbol_lib\n  (version 20211014)\n  (generator "easy EDA downloader")\n  ${symbolBlock.replace(/\n/g, "\n  ")}\n)\n`;
+
+  // Re-downloading the same LCSC part is an update, never a second copy.
+  const samePart = lcscId && existing.properties["LCSC Part"] === lcscId;
+  if (policy === "replace" || (policy === "rename" && samePart)) {
+    return {
+      library: replaceLibrarySymbol(library, symbol.name, symbol.text),
+      action: "replaced",
+      name: symbol.name
+    };
   }
-  if (existingLibrary.includes(`(symbol "${symbolId}"`)) {
-    return existingLibrary;
+  if (policy === "rename") {
+    const renamed = `${symbol.name}_${lcscId}`;
+    return {
+      library: replaceLibrarySymbol(
+        library,
+        renamed,
+        renameLibrarySymbol(symbol.text, renamed)
+      ),
+      action: findLibrarySymbol(library, renamed) ? "replaced" : "renamed",
+      name: renamed
+    };
   }
-  const trimmed = existingLibrary.trimEnd();
-  const lastClose = trimmed.lastIndexOf(")");
-  if (lastClose === -1) {
-    return existingLibrary;
+  if (policy === "ask") {
+    return { library, action: null, name: symbol.name, conflict: true };
   }
-  const before = trimmed.slice(0, lastClose).trimEnd();
-  const indentedBlock = `  ${symbolBlock.replace(/\n/g, "\n  ")}`;
-  return `${before}\n${indentedBlock}\n)\n`;
+  return { library, action: "skipped", name: symbol.name };
 }
 
-// Load a stored symbol library from extension storage.
-async function loadStoredSymbolLibrary(key) {
+// Load stored text (such as the symbol library) from extension storage.
+async function loadStoredText(key) {
   return new Promise((resolve) => {
     chrome.storage.local.get({ [key]: "" }, (data) => {
       if (chrome.runtime.lastError) {
-        console.warn("Failed to load symbol library:", chrome.runtime.lastError);
+        console.warn(`Failed to load ${key}:`, chrome.runtime.lastError);
         resolve("");
         return;
       }
@@ -396,12 +696,24 @@ async function loadStoredSymbolLibrary(key) {
   });
 }
 
-// Save a symbol library into extension storage for future appends.
-async function saveStoredSymbolLibrary(key, content) {
+// Save text (e.g. the symbol library for future appends) into extension storage.
+async function saveStoredText(key, content) {
   return new Promise((resolve) => {
     chrome.storage.local.set({ [key]: content }, () => {
       if (chrome.runtime.lastError) {
-        console.warn("Failed to save symbol library:", chrome.runtime.lastError);
+        console.warn(`Failed to save ${key}:`, chrome.runtime.lastError);
+      }
+      resolve();
+    });
+  });
+}
+
+// Remove stored text entries from extension storage.
+async function removeStoredText(keys) {
+  return new Promise((resolve) => {
+    chrome.storage.local.remove(keys, () => {
+      if (chrome.runtime.lastError) {
+        console.warn(`Failed to remove ${keys.join(", ")}:`, chrome.runtime.lastError);
       }
       resolve();
     });
@@ -428,15 +740,18 @@ function find3dModelInfo(packageDetail) {
   return null;
 }
 
-// Main workflow: fetch, convert, and download the requested assets.
+// Main workflow: fetch, convert, and download the requested assets. Resolves
+// with a summary for the popup (what happened to the symbol, and anything the
+// converter could not carry over).
 async function exportPart(lcscId, options = {}) {
   if (!lcscId) {
     throw new Error("No LCSC part number found on the page.");
   }
 
   const settings = await loadSettings();
-  const libraryPaths = buildLibraryPaths();
-  const symbolLibraryKey = `symbolLibrary:${libraryPaths.symbolFile}`;
+  const profile = getActiveProfile(settings);
+  const libraryPaths = buildLibraryPaths(profile, settings.downloadIndividually);
+  const symbolLibraryKey = symbolLibraryStorageKey(profile);
 
   // Default to exporting everything unless explicitly disabled.
   const resolvedOptions = {
@@ -458,10 +773,29 @@ async function exportPart(lcscId, options = {}) {
   // Convert the EasyEDA CAD payload into KiCad symbol/footprint text.
   const kicadFiles = convertEasyedaCadToKicad(cadData, {
     symbol: resolvedOptions.symbol,
-    footprint: resolvedOptions.footprint
+    footprint: resolvedOptions.footprint,
+    kicadVersion: settings.kicadVersion,
+    footprintLibrary: profile.footprintLibrary,
+    model3dPath: libraryPaths.modelLink,
+    model3dFormat: settings.modelFormat,
+    courtyardClearance: settings.generateCourtyard ? settings.courtyardClearance : null,
+    silkClearance: settings.clipSilkscreen ? settings.silkClearance : null,
+    ellipseTolerance: settings.ellipseTolerance,
+    pinAlternates: settings.pinAlternates,
+    pinTypeRules: settings.inferPinTypes ? settings.pinTypeRules : null,
+    pinGrid: settings.pinGrid,
+    precision: settings.outputPrecision || null,
+    footprintAnchor: settings.footprintAnchor
   });
 
-  // Download the symbol if requested.
+  const summary = {
+    symbolAction: null,
+    symbolName: null,
+    warnings: kicadFiles.warnings
+  };
+
+  // Download the symbol if requested. Merging happens before any download so
+  // an "ask" conflict can stop the export without leaving partial files.
   if (kicadFiles.symbol) {
     if (settings.downloadIndividually) {
       await downloadTextFile(
@@ -470,17 +804,38 @@ async function exportPart(lcscId, options = {}) {
         "application/octet-stream"
       );
     } else {
-      const symbolBlock = extractSymbolBlock(kicadFiles.symbol.content);
-      const existingLibrary = await loadStoredSymbolLibrary(symbolLibraryKey);
-      const mergedLibrary = mergeSymbolIntoLibrary(
-        existingLibrary || kicadFiles.symbol.content,
-        symbolBlock,
-        kicadFiles.symbol.name
-      );
-      await saveStoredSymbolLibrary(symbolLibraryKey, mergedLibrary);
+      const policy = SYMBOL_CONFLICT_POLICIES.includes(options.symbolConflict)
+        ? options.symbolConflict
+        : settings.symbolConflict;
+      const existingLibrary = await loadStoredText(symbolLibraryKey);
+      let merge;
+      try {
+        merge = mergeSymbolIntoLibrary(
+          existingLibrary,
+          kicadFiles.symbol.content,
+          policy,
+          lcscId
+        );
+      } catch (error) {
+        // An unreadable stored library would fail every later export, so set
+        // it aside and start a new library with this symbol.
+        const backupKey = `${symbolLibraryKey}:backup`;
+        await saveStoredText(backupKey, existingLibrary);
+        summary.warnings.push(
+          `Symbol library: the stored library could not be read (${error.message}); ` +
+            `started a new one. The old text is kept under "${backupKey}" in extension storage.`
+        );
+        merge = mergeSymbolIntoLibrary("", kicadFiles.symbol.content, policy, lcscId);
+      }
+      if (merge.conflict) {
+        return { conflict: true, symbolName: merge.name };
+      }
+      summary.symbolAction = merge.action;
+      summary.symbolName = merge.name;
+      await saveStoredText(symbolLibraryKey, merge.library);
       await downloadTextFile(
         libraryPaths.symbolFile,
-        mergedLibrary,
+        merge.library,
         "application/octet-stream",
         "overwrite"
       );
@@ -508,7 +863,7 @@ async function exportPart(lcscId, options = {}) {
   if (resolvedOptions.model3d) {
     const modelInfo = find3dModelInfo(cadData.packageDetail);
     if (modelInfo) {
-      const safeModelName = modelInfo.name.replace(/[^\w.-]+/g, "_");
+      const safeModelName = safeModelFileName(modelInfo.name);
       const stepResponse = await fetch(
         ENDPOINT_3D_MODEL_STEP.replace("{uuid}", modelInfo.uuid)
       );
@@ -543,6 +898,24 @@ async function exportPart(lcscId, options = {}) {
       }
     }
   }
+
+  // Save the pin/pad check next to the library when it found problems.
+  if (kicadFiles.pinCheck.length) {
+    const reportName = `${lcscId}-pin-check.txt`;
+    await downloadTextFile(
+      settings.downloadIndividually ? reportName : `${profile.directory}/${reportName}`,
+      buildPinCheckReport(lcscId, kicadFiles),
+      "text/plain",
+      "overwrite"
+    );
+  }
+
+  // Keep the library tables and README next to the library up to date.
+  if (!settings.downloadIndividually) {
+    await writeLibrarySetupFiles(profile, libraryPaths, settings.kicadVersion);
+  }
+
+  return summary;
 }
 
 // Listen for UI requests to export the current part.
@@ -565,9 +938,29 @@ chrome.runtime.onMessage.addListener((message, _sender, sendResponse) => {
     return true;
   }
 
+  if (message?.type === "NORMALIZE_PROFILE") {
+    sendResponse({
+      ok: true,
+      profile: normalizeLibraryProfile(message.profile, message.index || 0)
+    });
+    return false;
+  }
+
+  if (message?.type === "REMOVE_PROFILE_LIBRARIES") {
+    removeProfileLibraries(message.profile, message.remainingProfiles).then(() =>
+      sendResponse({ ok: true })
+    );
+    return true;
+  }
+
+  if (message?.type === "GET_DEFAULT_PIN_TYPE_RULES") {
+    sendResponse({ ok: true, pinTypeRules: DEFAULT_PIN_TYPE_RULES });
+    return false;
+  }
+
   if (message?.type === "EXPORT_PART") {
     exportPart(message.lcscId, message.options)
-      .then(() => sendResponse({ ok: true }))
+      .then((summary) => sendResponse({ ok: true, ...summary }))
       .catch((error) => {
         console.error("easy EDA downloader extension error:", error);
         sendResponse({ ok: false, error: error?.message || "Download failed." });
@@ -0,0 +1,286 @@
+/*
+ * This module writes KiCad S-expressions. Export code builds plain nested
+ * arrays (lists) of atoms and hands them to serializeSexpr, so quoting,
+ * escaping and KiCad-style indentation are handled in one place.
+ */
+
+// Lines longer than this are broken up the way KiCad's own formatter does.
+const MAX_LINE_LENGTH = 99;
+
+// Lists KiCad keeps on one line even though they nest other lists.
+const INLINE_KEYWORDS = new Set([
+  "effects",
+  "stroke",
+  "fill",
+  "name",
+  "number",
+  "alternate",
+  "offset",
+  "scale",
+  "rotate"
+]);
+
+// Tokens that can be written without quotes.
+const BARE_TOKEN_PATTERN = /^[^\s()"\\]+$/;
+
+// Mark a value as a quoted string (names, property values, text).
+export function str(value) {
+  return { quoted: String(value ?? "") };
+}
+
+// Quote and escape a string the way KiCad's formatter does.
+export function quoteString(value) {
+  const escaped = String(value ?? "")
+    .replace(/\\/g, "\\\\")
+    .replace(/"/g, "\\\"")
+    .replace(/\n/g, "\\n")
+    .replace(/\r/g, "\\r");
+  return `"${escaped}"`;
+}
+
+// Write numbers without exponent notation, negative zero or trailing zeros,
+// rounded to `decimals` places when given.
+function formatNumberAtom(value, decimals) {
+  if (!Number.isFinite(value)) {
+    return "0";
+  }
+  const rounded = decimals === undefined ? value : Number(value.toFixed(decimals));
+  if (Math.abs(rounded) < 1e-9) {
+    return "0";
+  }
+  const text = String(rounded);
+  if (!text.includes("e")) {
+    return text;
+  }
+  return rounded.toFixed(9).replace(/0+$/, "").replace(/\.$/, "");
+}
+
+// Write a single atom. Bare strings that would break the file get quoted.
+function formatAtom(atom, decimals) {
+  if (atom && typeof atom === "object") {
+    return quoteString(atom.quoted);
+  }
+  if (typeof atom === "number") {
+    return formatNumberAtom(atom, decimals);
+  }
+  const text = String(atom);
+  return BARE_TOKEN_PATTERN.test(text) ? text : quoteString(text);
+}
+
+// Drop optional entries (null/undefined/false) so builders can inline conditions.
+function presentChildren(list) {
+  return list.filter(
+    (child) => child !== null && child !== undefined && child !== false
+  );
+}
+
+// Write a list on a single line.
+function formatInline(list, decimals) {
+  const parts = presentChildren(list).map((child) =>
+    Array.isArray(child) ? formatInline(child, decimals) : formatAtom(child, decimals)
+  );
+  return `(${parts.join(" ")})`;
+}
+
+// Nesting depth of a node: atoms are 0, a list of atoms is 1.
+function nodeDepth(node) {
+  if (!Array.isArray(node)) {
+    return 0;
+  }
+  return 1 + Math.max(0, ...presentChildren(node).map(nodeDepth));
+}
+
+// A list is an (xy ...) point, which KiCad packs several to a line.
+function isPointList(node) {
+  return Array.isArray(node) && node[0] === "xy";
+}
+
+// Write a list, breaking nested lists onto their own indented lines. Flat
+// lists and short compound ones such as (at ...) or (effects ...) stay inline,
+// as do lists whose keyword the caller forces inline whatever their length.
+function formatNode(node, depth, options) {
+  const { indent, forceInline, decimals } = options;
+  if (!Array.isArray(node)) {
+    return formatAtom(node, decimals);
+  }
+  const children = presentChildren(node);
+  const inline = formatInline(children, decimals);
+  if (forceInline.has(children[0])) {
+    return inline;
+  }
+  const pad = indent.repeat(depth);
+  const fits = pad.length + inline.length <= MAX_LINE_LENGTH;
+  const compact = nodeDepth(children) <= 2 || INLINE_KEYWORDS.has(children[0]);
+  if (!children.some(Array.isArray) || (fits && compact)) {
+    return inline;
+  }
+
+  // Leading atoms (keyword, name, flags) stay on the opening line.
+  let index = 0;
+  const head = [];
+  while (index < children.length && !Array.isArray(children[index])) {
+    head.push(formatAtom(children[index], decimals));
+    index += 1;
+  }
+
+  const childPad = indent.repeat(depth + 1);
+  const lines = [`(${head.join(" ")}`];
+  while (index < children.length) {
+    const child = children[index];
+    if (isPointList(child)) {
+      // Pack consecutive points onto lines up to the length limit.
+      let line = childPad;
+      while (index < children.length && isPointList(children[index])) {
+        const point = formatInline(children[index], decimals);
+        if (line.trim() && line.length + point.length + 1 > MAX_LINE_LENGTH) {
+          lines.push(line);
+          line = childPad;
+        }
+        line += line.trim() ? ` ${point}` : point;
+        index += 1;
+      }
+      lines.push(line);
+      continue;
+    }
+    lines.push(`${childPad}${formatNode(child, depth + 1, options)}`);
+    index += 1;
+  }
+  lines.push(`${pad})`);
+  return lines.join("\n");
+}
+
+// Public API: serialize a node tree into KiCad-formatted text. Options:
+// `indent` per nesting level, `inline` keywords always kept on one line,
+// `decimals` to round every number to (numbers are written as-is otherwise).
+export function serializeSexpr(node, options = {}) {
+  return `${formatNode(node, 0, {
+    indent: options.indent ?? "  ",
+    forceInline: new Set(options.inline || []),
+    decimals: options.decimals
+  })}\n`;
+}
+
+// Map backslash escapes inside quoted strings back to their characters.
+const UNESCAPE_MAP = {
+  n: "\n",
+  r: "\r",
+  t: "\t"
+};
+
+// Report a parse failure with the offending line number.
+function parseError(text, offset, message) {
+  const line = text.slice(0, offset).split("\n").length;
+  return new Error(`Malformed S-expression at line ${line}: ${message}`);
+}
+
+// Public API: parse S-expression text into lists and atoms. Every node keeps
+// its source offsets (start inclusive, end exclusive) so callers can splice
+// the original text without reformatting it. Lines starting with "#" are
+// comments, as in KiCad's own lexer.
+export function parseSexpr(text) {
+  const source = String(text || "");
+  const topLevel = [];
+  const stack = [];
+  let index = 0;
+  let lineStart = true;
+
+  const append = (node) => {
+    if (stack.length) {
+      stack[stack.length - 1].children.push(node);
+    } else {
+      topLevel.push(node);
+    }
+  };
+
+  while (index < source.length) {
+    const char = source[index];
+    if (char === "\n") {
+      lineStart = true;
+      index += 1;
+      continue;
+    }
+    if (/\s/.test(char)) {
+      index += 1;
+      continue;
+    }
+    if (char === "#" && lineStart) {
+      while (index < source.length && source[index] !== "\n") {
+        index += 1;
+      }
+      continue;
+    }
+    lineStart = false;
+
+    if (char === "(") {
+      stack.push({ type: "list", children: [], start: index, end: -1 });
+      index += 1;
+    } else if (char === ")") {
+      const list = stack.pop();
+      if (!list) {
+        throw parseError(source, index, "unexpected \")\"");
+      }
+      index += 1;
+      list.end = index;
+      append(list);
+    } else if (char === "\"") {
+      const start = index;
+      let value = "";
+      index += 1;
+      while (index < source.length && source[index] !== "\"") {
+        if (source[index] === "\\" && index + 1 < source.length) {
+          const escaped = source[index + 1];
+          value += UNESCAPE_MAP[escaped] ?? escaped;
+          index += 2;
+        } else {
+          value += source[index];
+          index += 1;
+        }
+      }
+      if (index >= source.length) {
+        throw parseError(source, start, "unterminated string");
+      }
+      index += 1;
+      append({ type: "atom", value, quoted: true, start, end: index });
+    } else {
+      const start = index;
+      while (index < source.length && !/[\s()"]/.test(source[index])) {
+        index += 1;
+      }
+      append({
+        type: "atom",
+        value: source.slice(start, index),
+        quoted: false,
+        start,
+        end: index
+      });
+    }
+  }
+
+  if (stack.length) {
+    throw parseError(source, stack[stack.length - 1].start, "unclosed \"(\"");
+  }
+  return topLevel;
+}
+
+// Keyword (first atom) of a parsed list, or "" for atoms and empty lists.
+export function listKeyword(node) {
+  const first = node?.type === "list" ? node.children[0] : null;
+  return first?.type === "atom" ? first.value : "";
+}
+
+// Direct child lists of a parsed list that start with the given keyword.
+export function findChildLists(node, keyword) {
+  return (node?.children || []).filter(
+    (child) => child.type === "list" && listKeyword(child) === keyword
+  );
+}
+/*
+ * This file is part of easyEdaDownloader.
+ *
+ * easyEdaDownloader is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This software is derived from easyeda2kicad.py by uPesy.
+ */
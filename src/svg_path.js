@@ -0,0 +1,320 @@
+/*
+ * This module reads SVG path data as used by EasyEDA shapes. parseSvgPath
+ * understands every path command, absolute and relative, and returns a
+ * normalized list of absolute M/L/C/A/Z commands: H/V become lines and
+ * quadratic or smooth curves become cubic Béziers. Helpers turn arcs and
+ * curves into points when a target format cannot represent them.
+ */
+
+// Number of parameters each command consumes per repetition.
+const COMMAND_ARITY = {
+  M: 2,
+  L: 2,
+  H: 1,
+  V: 1,
+  C: 6,
+  S: 4,
+  Q: 4,
+  T: 2,
+  A: 7,
+  Z: 0
+};
+
+const NUMBER_PATTERN = /^[-+]?(?:\d+\.?\d*|\.\d+)(?:[eE][-+]?\d+)?/;
+
+// Split path data into command letters and numbers. Arc flags may be written
+// without separators ("a5 5 0 0110 10"), so they are read one digit at a time.
+function tokenizePath(text) {
+  const source = String(text || "");
+  const tokens = [];
+  let index = 0;
+  let command = "";
+  let argumentIndex = 0;
+
+  while (index < source.length) {
+    const char = source[index];
+    if (/[\s,]/.test(char)) {
+      index += 1;
+      continue;
+    }
+    if (/[a-zA-Z]/.test(char)) {
+      command = char.toUpperCase();
+      argumentIndex = 0;
+      tokens.push(char);
+      index += 1;
+      continue;
+    }
+    const position = argumentIndex % (COMMAND_ARITY[command] || 1);
+    if (command === "A" && (position === 3 || position === 4) && /[01]/.test(char)) {
+      tokens.push(Number(char));
+      index += 1;
+      argumentIndex += 1;
+      continue;
+    }
+    const match = source.slice(index).match(NUMBER_PATTERN);
+    if (!match) {
+      // Skip anything unreadable rather than failing the whole shape.
+      index += 1;
+      continue;
+    }
+    tokens.push(Number(match[0]));
+    index += match[0].length;
+    argumentIndex += 1;
+  }
+  return tokens;
+}
+
+// Public API: parse SVG path data into absolute commands:
+//   { type: "M", x, y }, { type: "L", x, y }, { type: "Z" },
+//   { type: "C", x1, y1, x2, y2, x, y },
+//   { type: "A", rx, ry, rotation, largeArc, sweep, x, y }
+// Every command after M also carries its start point as fromX/fromY.
+export function parseSvgPath(text) {
+  const tokens = tokenizePath(text);
+  const commands = [];
+  let index = 0;
+  let x = 0;
+  let y = 0;
+  let startX = 0;
+  let startY = 0;
+  let lastControl = null;
+  let lastQuadControl = null;
+
+  const push = (command) => {
+    commands.push({ ...command, fromX: x, fromY: y });
+    if (command.type !== "Z") {
+      x = command.x;
+      y = command.y;
+    }
+  };
+
+  while (index < tokens.length) {
+    const letter = tokens[index];
+    if (typeof letter !== "string") {
+      index += 1;
+      continue;
+    }
+    index += 1;
+    const type = letter.toUpperCase();
+    const relative = letter !== type;
+    const arity = COMMAND_ARITY[type];
+    if (arity === undefined) {
+      continue;
+    }
+
+    if (type === "Z") {
+      push({ type: "Z" });
+      x = startX;
+      y = startY;
+      lastControl = null;
+      lastQuadControl = null;
+      continue;
+    }
+
+    let first = true;
+    while (index + arity <= tokens.length && tokens.slice(index, index + arity).every(
+      (token) => typeof token === "number"
+    )) {
+      const args = tokens.slice(index, index + arity);
+      index += arity;
+      const dx = relative ? x : 0;
+      const dy = relative ? y : 0;
+      let control = null;
+      let quadControl = null;
+
+      if (type === "M") {
+        // Extra coordinate pairs after a move are implicit line-tos.
+        if (first) {
+          x = args[0] + dx;
+          y = args[1] + dy;
+          startX = x;
+          startY = y;
+          commands.push({ type: "M", x, y });
+        } else {
+          push({ type: "L", x: args[0] + dx, y: args[1] + dy });
+        }
+      } else if (type === "L") {
+        push({ type: "L", x: args[0] + dx, y: args[1] + dy });
+      } else if (type === "H") {
+        push({ type: "L", x: args[0] + dx, y });
+      } else if (type === "V") {
+        push({ type: "L", x, y: args[0] + dy });
+      } else if (type === "C" || type === "S") {
+        // S reflects the previous curve's second control point.
+        const [x1, y1] =
+          type === "C"
+            ? [args[0] + dx, args[1] + dy]
+            : lastControl
+              ? [2 * x - lastControl.x, 2 * y - lastControl.y]
+              : [x, y];
+        const rest = type === "C" ? args.slice(2) : args;
+        control = { x: rest[0] + dx, y: rest[1] + dy };
+        push({
+          type: "C",
+          x1,
+          y1,
+          x2: control.x,
+          y2: control.y,
+          x: rest[2] + dx,
+          y: rest[3] + dy
+        });
+      } else if (type === "Q" || type === "T") {
+        // Quadratic curves are raised to the equivalent cubic.
+        const [qx, qy] =
+          type === "Q"
+            ? [args[0] + dx, args[1] + dy]
+            : lastQuadControl
+              ? [2 * x - lastQuadControl.x, 2 * y - lastQuadControl.y]
+              : [x, y];
+        const endX = (type === "Q" ? args[2] : args[0]) + dx;
+        const endY = (type === "Q" ? args[3] : args[1]) + dy;
+        quadControl = { x: qx, y: qy };
+        control = { x: endX + (2 / 3) * (qx - endX), y: endY + (2 / 3) * (qy - endY) };
+        push({
+          type: "C",
+          x1: x + (2 / 3) * (qx - x),
+          y1: y + (2 / 3) * (qy - y),
+          x2: control.x,
+          y2: control.y,
+          x: endX,
+          y: endY
+        });
+      } else if (type === "A") {
+        push({
+          type: "A",
+          rx: Math.abs(args[0]),
+          ry: Math.abs(args[1]),
+          rotation: args[2],
+          largeArc: Boolean(args[3]),
+          sweep: Boolean(args[4]),
+          x: args[5] + dx,
+          y: args[6] + dy
+        });
+      }
+
+      lastControl = type === "C" || type === "S" ? control : null;
+      lastQuadControl = type === "Q" || type === "T" ? quadControl : null;
+      first = false;
+    }
+  }
+
+  return commands;
+}
+
+// Public API: convert an arc command into center form (SVG spec F.6.5).
+// Returns { cx, cy, rx, ry, rotation (radians), startAngle, sweepAngle },
+// or null when the arc degenerates into a straight line.
+export function arcToCenter(arc) {
+  const { fromX, fromY, x, y } = arc;
+  let { rx, ry } = arc;
+  if (!rx || !ry || (fromX === x && fromY === y)) {
+    return null;
+  }
+  const phi = ((arc.rotation || 0) * Math.PI) / 180;
+  const cosPhi = Math.cos(phi);
+  const sinPhi = Math.sin(phi);
+  const halfDx = (fromX - x) / 2;
+  const halfDy = (fromY - y) / 2;
+  const x1 = cosPhi * halfDx + sinPhi * halfDy;
+  const y1 = -sinPhi * halfDx + cosPhi * halfDy;
+
+  // Scale radii up when they are too small to reach the end point.
+  const lambda = (x1 * x1) / (rx * rx) + (y1 * y1) / (ry * ry);
+  if (lambda > 1) {
+    rx *= Math.sqrt(lambda);
+    ry *= Math.sqrt(lambda);
+  }
+
+  const numerator = rx * rx * ry * ry - rx * rx * y1 * y1 - ry * ry * x1 * x1;
+  const denominator = rx * rx * y1 * y1 + ry * ry * x1 * x1;
+  const sign = arc.largeArc === arc.sweep ? -1 : 1;
+  const coef = sign * Math.sqrt(Math.max(0, numerator / denominator));
+  const centerX1 = (coef * rx * y1) / ry;
+  const centerY1 = (-coef * ry * x1) / rx;
+
+  const angle = (ux, uy, vx, vy) => Math.atan2(ux * vy - uy * vx, ux * vx + uy * vy);
+  const startAngle = angle(1, 0, (x1 - centerX1) / rx, (y1 - centerY1) / ry);
+  let sweepAngle = angle(
+    (x1 - centerX1) / rx,
+    (y1 - centerY1) / ry,
+    (-x1 - centerX1) / rx,
+    (-y1 - centerY1) / ry
+  );
+  if (!arc.sweep && sweepAngle > 0) {
+    sweepAngle -= 2 * Math.PI;
+  } else if (arc.sweep && sweepAngle < 0) {
+    sweepAngle += 2 * Math.PI;
+  }
+
+  return {
+    cx: cosPhi * centerX1 - sinPhi * centerY1 + (fromX + x) / 2,
+    cy: sinPhi * centerX1 + cosPhi * centerY1 + (fromY + y) / 2,
+    rx,
+    ry,
+    rotation: phi,
+    startAngle,
+    sweepAngle
+  };
+}
+
+// Public API: point on a center-form arc at parameter t (0 = start, 1 = end).
+export function arcPointAt(center, t) {
+  const theta = center.startAngle + center.sweepAngle * t;
+  const ex = center.rx * Math.cos(theta);
+  const ey = center.ry * Math.sin(theta);
+  return {
+    x: center.cx + ex * Math.cos(center.rotation) - ey * Math.sin(center.rotation),
+    y: center.cy + ex * Math.sin(center.rotation) + ey * Math.cos(center.rotation)
+  };
+}
+
+// Public API: points along an arc command (excluding its start point), spaced
+// so the chords stay within `tolerance` of the curve.
+export function flattenArc(arc, tolerance) {
+  const center = arcToCenter(arc);
+  if (!center) {
+    return [{ x: arc.x, y: arc.y }];
+  }
+  const radius = Math.max(center.rx, center.ry);
+  const maxStep =
+    radius > tolerance ? 2 * Math.acos(1 - tolerance / radius) : Math.PI / 2;
+  const steps = Math.min(256, Math.max(1, Math.ceil(Math.abs(center.sweepAngle) / maxStep)));
+  const points = [];
+  for (let step = 1; step < steps; step += 1) {
+    points.push(arcPointAt(center, step / steps));
+  }
+  points.push({ x: arc.x, y: arc.y });
+  return points;
+}
+
+// Public API: points along a cubic Bézier command (excluding its start
+// point), using the standard bound on the flattening error.
+export function flattenCubic(curve, tolerance) {
+  const { fromX, fromY, x1, y1, x2, y2, x, y } = curve;
+  const ddx = Math.max(Math.abs(fromX - 2 * x1 + x2), Math.abs(x1 - 2 * x2 + x));
+  const ddy = Math.max(Math.abs(fromY - 2 * y1 + y2), Math.abs(y1 - 2 * y2 + y));
+  const steps = Math.min(
+    256,
+    Math.max(1, Math.ceil(Math.sqrt((0.75 * Math.hypot(ddx, ddy)) / tolerance)))
+  );
+  const points = [];
+  for (let step = 1; step <= steps; step += 1) {
+    const t = step / steps;
+    const u = 1 - t;
+    points.push({
+      x: u * u * u * fromX + 3 * u * u * t * x1 + 3 * u * t * t * x2 + t * t * t * x,
+      y: u * u * u * fromY + 3 * u * u * t * y1 + 3 * u * t * t * y2 + t * t * t * y
+    });
+  }
+  return points;
+}
+/*
+ * This file is part of easyEdaDownloader.
+ *
+ * easyEdaDownloader is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This software is derived from easyeda2kicad.py by uPesy.
+ */